@@ -8,10 +8,14 @@ module.exports = function(grunt) {
         banner: '/*! <%= pkg.name %> <%= grunt.template.today("yyyy-mm-dd") %> */\n'
       },
       build: {
-        src: 'src/js/**/*.js',
-        dest: 'dist/js/<%= pkg.name %>.min.js'
+        src: 'dist/<%= pkg.name %>.js',
+        dest: 'dist/<%= pkg.name %>.min.js'
       }
     },
+    modules: {
+      src: 'src/js/<%= pkg.name %>.js',
+      dest: 'dist/<%= pkg.name %>'
+    },
     karma: {
       unit: {
         configFile: 'karma.conf.js'
@@ -43,14 +47,56 @@ module.exports = function(grunt) {
   grunt.loadNpmTasks('grunt-contrib-jshint');
   grunt.loadNpmTasks('grunt-docco');
 
+  // Writes the UMD, CommonJS and ES module builds. The source is a UMD module, which also works
+  // as a CommonJS one; the ES module build runs it against a local `module` object, and a local
+  // `define` shadowing the one of an AMD loader on the page, so it always exports QLM.
+  grunt.registerTask('modules', 'Builds the UMD, CommonJS and ES modules.', function(){
+    var options = grunt.config('modules'),
+        source = grunt.file.read(options.src);
+
+    grunt.file.write(options.dest + '.js', source);
+    grunt.file.write(options.dest + '.cjs', source);
+    grunt.file.write(options.dest + '.mjs', 'var module = {exports: {}}, define;\n' + source + '\nexport default module.exports;\n');
+  });
+
+  // Runs the specs of test/node in Node.js, where QLM is loaded as a CommonJS module. Karma
+  // runs all the other specs in the browser.
+  grunt.registerTask('node', 'Runs the Node.js specs.', function(){
+    var done = this.async(),
+        jasmineCore = require('jasmine-core'),
+        env = jasmineCore.boot(jasmineCore).getEnv(),
+        failures = 0;
+
+    env.addReporter({
+      specDone: function(result){
+        if(result.status === 'failed'){
+          failures++;
+          grunt.log.error(result.fullName);
+          result.failedExpectations.forEach(function(expectation){
+            grunt.log.error('  ' + expectation.message);
+          });
+        }
+      },
+      jasmineDone: function(){
+        done(failures === 0);
+      }
+    });
+
+    grunt.file.expand('test/node/**/*.js').forEach(function(file){
+      require('./' + file);
+    });
+
+    env.execute();
+  });
+
   // Default task(s).
-  var buildTasks = ['jshint',  'karma', 'uglify'];
+  var buildTasks = ['jshint',  'karma', 'node', 'modules', 'uglify'];
   
   var noTestTasks = buildTasks.filter(function(t){
-    return t !== 'karma';
+    return t !== 'karma' && t !== 'node';
   }); 
   
-  grunt.registerTask('test', ['karma']);
+  grunt.registerTask('test', ['karma', 'node']);
   grunt.registerTask('default', noTestTasks);
   grunt.registerTask('build', buildTasks);
 
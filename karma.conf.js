@@ -18,12 +18,15 @@ module.exports = function(config) {
       'bower_components/jquery/jquery.js',
       'bower_components/jquery-mockjax/jquery.mockjax.js',
       'src/js/**/*.js',
+      'test/helpers.js',
       'test/**/*.js'
     ],
 
 
     // list of files to exclude
     exclude: [
+      // run in Node.js by the `node` task of the Gruntfile
+      'test/node/**/*.js'
     ],
 
 
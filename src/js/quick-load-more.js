@@ -22,250 +22,3602 @@
 // // and qlm.loadFinished events.
 // ```
 
-var QLM = (function($){
-    return function(customConfig){
-        "use strict";
+// QLM has no dependencies. It's published as the `QLM` global when loaded with a script tag, and
+// exported to CommonJS and AMD module systems. ES module, CommonJS and UMD builds are found in `dist/`.
+// On pages which load jQuery before QLM, the jQuery adapter is used, see `QLM.adapters.jquery`.
+
+// QLM runs in Node.js as well, e.g. to load the first page while rendering on the server. Pass the
+// result of `serialize()` to the browser, and create the instance there with `QLM.hydrate()`.
+
+(function(root, factory){
+    var QLM = factory();
+
+    if(typeof define === 'function' && define.amd){
+        define(function(){
+            return QLM;
+        });
+    }else if(typeof module === 'object' && module.exports){
+        module.exports = QLM;
+    }else{
+        if(root.jQuery){
+            QLM.adapters.jquery(root.jQuery);
+        }
+        root.QLM = QLM;
+    }
+})(typeof self !== 'undefined' ? self : this, function(){
+    "use strict";
 
-        // The only critically required parameter is `serviceURL`, and 
-        // we should make this as clear as possible.
-        if(!customConfig.serviceURL){
-            throw new Error('No service URL provided.');
+    // ## Utilities
+
+    // Returns whether the given value is a function
+    var isFunction = function(value){
+        return typeof value === 'function';
+    };
+
+    // Returns whether the given value is neither `null` nor `undefined`
+    var isDefined = function(value){
+        return value !== null && value !== undefined;
+    };
+
+    // Returns whether the given value is a plain object, i.e. one created with `{}`
+    var isPlainObject = function(value){
+        if(Object.prototype.toString.call(value) !== '[object Object]'){
+            return false;
         }
 
-        // ## Configuration
+        var prototype = Object.getPrototypeOf(value);
+        return prototype === null || prototype === Object.prototype;
+    };
 
-        // To make QLM work, you'll need to provide `serviceURL`, the URL of your AJAX endpoint. You'll most likely
-        // have to provide implementations for `paginator`, `isServerExhausted` and `extractItems` depending on your
-        // pagination strategy.
+    // Returns the type of the given value, telling arrays and `null` apart from objects
+    var typeOf = function(value){
+        return value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+    };
 
-        // This is the default config object, to be extended with the config the user provides.
-        var config = {
+    // Calls the given function with the index and the value of each element of an array, or the
+    // key and the value of each property of an object. Returning `false` stops the iteration.
+    var each = function(collection, callback){
+        var i;
 
-            // ### Miscellaneous configuration
+        if(Array.isArray(collection)){
+            for(i = 0; i < collection.length; i++){
+                if(callback(i, collection[i]) === false){
+                    break;
+                }
+            }
+        }else{
+            for(i in collection){
+                if(Object.prototype.hasOwnProperty.call(collection, i) && callback(i, collection[i]) === false){
+                    break;
+                }
+            }
+        }
 
-            // When the item count is less than this value, a background request will be issued to load more items.
-            lowItemThreshold: 20,
+        return collection;
+    };
 
-            // Configuration of events emitted by this component
-            event: {
+    // Copies the properties of the given objects into the first one, and returns it. If the first
+    // argument is `true`, plain objects and arrays are merged recursively instead, like `$.extend()`
+    // does. Other objects, like DOM nodes, are copied by reference.
+    var extend = function(){
+        var sources = Array.prototype.slice.call(arguments),
+            deep = sources[0] === true,
+            target;
 
-                // The prefix for the events
-                namespace: 'qlm',
+        if(deep){
+            sources.shift();
+        }
 
-                // The names for the events
-                names: {
+        target = sources.shift();
 
-                    // This will be triggered when loading starts, but not for background requests
-                    loadStarted: 'loadStarted',
+        each(sources, function(index, source){
+            each(source || {}, function(key, value){
+                var current = target[key];
 
-                    // This will be triggered when loading finishes, but not for background requests
-                    loadFinished: 'loadFinished',
-                    
-                    // This will be triggered in case of AJAX errors 
-                    error: 'error',
-                    
-                    // This will be triggered if it's not possible to return any more items
-                    exhausted: 'exhausted'
+                if(deep && Array.isArray(value)){
+                    target[key] = extend(true, Array.isArray(current) ? current : [], value);
+                }else if(deep && isPlainObject(value)){
+                    target[key] = extend(true, isPlainObject(current) ? current : {}, value);
+                }else if(value !== undefined){
+                    target[key] = value;
                 }
+            });
+        });
+
+        return target;
+    };
+
+    // ## Promises
+
+    // QLM uses native promises, or those of an adapter (see `QLM.adapters`). Promises are only
+    // chained with `then()`, and errors are passed on by returning a rejected promise, so that QLM
+    // behaves the same with any implementation.
+
+    // The functions which depend on the environment QLM runs in, replaced by adapters
+    var nativeEnvironment = {
+
+            // Returns a deferred object of the form `{promise, resolve, reject}`
+            defer: function(){
+                var deferred = {};
+
+                deferred.promise = new Promise(function(resolve, reject){
+                    deferred.resolve = resolve;
+                    deferred.reject = reject;
+                });
+
+                return deferred;
             },
 
-            // The query parameters (if any), to be used when making requests to the server.
-            // The parameters can be set after using the `setParameter` method.
-            queryParameters: {},
+            // Triggers the event with the given name and payload on the given target of the `event`
+            // config. The payload is the `detail` of the event.
+            trigger: function(target, name, payload){
+                if(isFunction(target.dispatchEvent) && typeof CustomEvent === 'function'){
+                    target.dispatchEvent(new CustomEvent(name, {detail: payload}));
+                }
+            },
 
-            // ### The paginator object
+            // Returns the transport used when none is configured
+            transport: function(){
+                return fetchTransport();
+            },
 
-            // The paginator object is responsible to keep track of the pagination state and provide
-            // a means to calculate the next state, given the previous state.
+            // The jQuery object, if the jQuery adapter is used
+            jQuery: null
+        },
+        environment = extend({}, nativeEnvironment);
 
-            // A default paginator implementation is provided. It uses `start` and `count` parameters
-            // to paginate queries.
-            paginator: {
+    // Returns a deferred object of the form `{promise, resolve, reject}`
+    var defer = function(){
+        return environment.defer();
+    };
 
-                // The paginator state. The key-value pairs inside will be serialized into the URL as
-                // query parameters, so the schema of the `state` object will reflect your pagination
-                // strategy.
-                state: {
-                    start: 0,
-                    count: 50
+    // Returns a promise resolved with the given value
+    var resolved = function(value){
+        var deferred = defer();
+        deferred.resolve(value);
+        return deferred.promise;
+    };
+
+    // Returns a promise rejected with the given error
+    var rejected = function(error){
+        var deferred = defer();
+        deferred.reject(error);
+        return deferred.promise;
+    };
+
+    // Returns a promise following the given promise, which may come from another implementation.
+    // Values which aren't promises are wrapped in a resolved promise.
+    var toPromise = function(value){
+        var deferred = defer();
+
+        if(value && isFunction(value.then)){
+            value.then(deferred.resolve, deferred.reject);
+        }else{
+            deferred.resolve(value);
+        }
+
+        return deferred.promise;
+    };
+
+    // Returns a promise resolved with the values of the given promises, or rejected with the error
+    // of the first one which fails.
+    var all = function(promises){
+        var deferred = defer(),
+            values = [],
+            remaining = promises.length;
+
+        if(!remaining){
+            deferred.resolve(values);
+        }
+
+        each(promises, function(index, promise){
+            promise.then(function(value){
+                values[index] = value;
+
+                if(--remaining === 0){
+                    deferred.resolve(values);
+                }
+            }, deferred.reject);
+        });
+
+        return deferred.promise;
+    };
+
+    // Returns a promise which settles like the given one, once the given function has been called.
+    var always = function(promise, callback){
+        return promise.then(function(value){
+            callback();
+            return value;
+        }, function(error){
+            callback();
+            return rejected(error);
+        });
+    };
+
+    // ## Iterators
+
+    // Returned by the steps of an iterator to end the iteration
+    var DONE = {};
+
+    // Returns an async iterator, which calls `step()` for each value. `step()` returns a promise
+    // resolved with the next value, or with `DONE` once there are none left. The iteration also ends
+    // when a step fails, or when the consumer stops early, e.g. by breaking out of a `for await` loop.
+    var createAsyncIterator = function(step){
+        var finished = false,
+            end = function(value){
+                finished = true;
+                return {value: value, done: true};
+            },
+            iterator = {
+                next: function(){
+                    if(finished){
+                        return resolved(end());
+                    }
+
+                    return step().then(function(value){
+                        return value === DONE ? end() : {value: value, done: false};
+                    }, function(error){
+                        end();
+                        return rejected(error);
+                    });
                 },
 
-                // Given a state, calculate and return the next state. Ideally, this function shouldn't
-                // have any side effects.
-                next: function(currentState){
-                    currentState.start += currentState.count;
-                    return currentState;
+                'return': function(value){
+                    return resolved(end(value));
+                }
+            };
+
+        if(typeof Symbol === 'function' && Symbol.asyncIterator){
+            iterator[Symbol.asyncIterator] = function(){
+                return iterator;
+            };
+        }
+
+        return iterator;
+    };
+
+    // ## Errors
+
+    // Promises returned by QLM are rejected with a `QLMError`, which is also passed to handlers
+    // of the `error` event. Its `kind` is one of the constants below. Errors caused by requests
+    // also carry the `status`, `url` and `attempts` of the last request.
+    //
+    // There is no kind for exhaustion, which is never an error: once the server is exhausted,
+    // `get()` resolves with the items left, possibly fewer than requested or none at all, and
+    // `isExhausted()` tells the two cases apart.
+    var QLMError = function(kind, message, details){
+        this.name = 'QLMError';
+        this.kind = kind;
+        this.message = message;
+        extend(this, details);
+    };
+
+    QLMError.prototype = Object.create(Error.prototype);
+    QLMError.prototype.constructor = QLMError;
+
+    // The server could not be reached, or the request timed out
+    QLMError.NETWORK = 'network';
+
+    // The server responded with an HTTP error status
+    QLMError.HTTP = 'http';
+
+    // The response could not be parsed
+    QLMError.PARSE = 'parse';
+
+    // Items could not be extracted from the response
+    QLMError.EXTRACT = 'extract';
+
+    // The response is invalid according to `validateResponse`, or `extractItems` didn't return
+    // an array, e.g. because the server returned a login page
+    QLMError.INVALID = 'invalid';
+
+    // Items could not be processed by the item pipeline, i.e. `transformItem`, `filterItem` or
+    // `enrichItems`, or the newest item by `live.parameters`
+    QLMError.PROCESS = 'process';
+
+    // A middleware failed, see `use()`
+    QLMError.MIDDLEWARE = 'middleware';
+
+    // The request was aborted, e.g. by `cancel()` or a query change
+    QLMError.ABORTED = 'aborted';
+
+    // The instance has been destroyed
+    QLMError.DESTROYED = 'destroyed';
+
+    // Creates the error a failed request is rejected with, given the arguments jQuery passes
+    // to the failure callbacks of an AJAX request.
+    var createRequestError = function(xhr, textStatus, url){
+        var kind;
+
+        if(textStatus === 'abort'){
+            kind = QLMError.ABORTED;
+        }else if(textStatus === 'parsererror'){
+            kind = QLMError.PARSE;
+        }else if(xhr.status === 0){
+            kind = QLMError.NETWORK;
+        }else{
+            kind = QLMError.HTTP;
+        }
+
+        return new QLMError(kind, 'Request to ' + url + ' failed (' + textStatus + ', status ' + xhr.status + ').', {
+            status: xhr.status,
+            url: url
+        });
+    };
+
+    // ## Transports
+
+    // A transport issues a request for a page of items. It's a function which receives a request
+    // object of the form `{url, parameters, paginatorState, headers}`, and returns a promise resolved
+    // with the parsed response, or rejected with a `QLMError`. If the returned promise has an `abort()`
+    // method, it's used to cancel the request. The `headers` are those added by middlewares.
+
+    // Paginators may need the underlying response object, e.g. to read headers. jQuery promises pass
+    // it to callbacks after the response and the status text, like `$.ajax` does. Since native
+    // promises are resolved with a single value, use `QLM.transports.result(response, xhr)` to pass
+    // both.
+    var TransportResult = function(response, xhr){
+        this.response = response;
+        this.xhr = xhr;
+    };
+
+    // The built-in transports are created by factories accepting the options below.
+    var transportDefaults = {
+
+        // The HTTP method of the request
+        method: 'GET',
+
+        // The headers to send with the request, or a function returning them given the request object.
+        // Use the latter for values that change over time, like authentication tokens.
+        headers: {},
+
+        // A function which, given the request object, returns the body of the request. No body is
+        // sent by default. For example, to send the query parameters as JSON:
+        // `function(request){ return JSON.stringify(request.parameters); }`
+        serializeBody: null,
+
+        // The content type of the body, if there is one
+        contentType: 'application/json',
+
+        // Whether to send credentials (e.g. cookies) with cross-origin requests
+        withCredentials: false
+    };
+
+    // Returns the headers to send with the given request, including those added by middlewares
+    var getHeaders = function(options, request){
+        return extend({}, isFunction(options.headers) ? options.headers(request) : options.headers, request.headers);
+    };
+
+    // ### QLM.transports.ajax(options)
+
+    // Issues requests with `$.ajax`. This is the default transport with the jQuery adapter.
+    var ajaxTransport = function(options){
+        var $ = environment.jQuery;
+
+        if(!$){
+            throw new Error('The ajax transport requires jQuery, see QLM.adapters.jquery().');
+        }
+
+        options = extend({}, transportDefaults, options);
+
+        return function(request){
+            var settings = {
+                    url: request.url,
+                    type: options.method,
+                    headers: getHeaders(options, request),
+                    xhrFields: {
+                        withCredentials: options.withCredentials
+                    }
+                },
+                xhr, promise;
+
+            if(options.serializeBody){
+                settings.data = options.serializeBody(request);
+                settings.contentType = options.contentType;
+                settings.processData = false;
+            }
+
+            xhr = $.ajax(settings);
+
+            promise = xhr.then(null, function(xhr, textStatus){
+                return new $.Deferred().reject(createRequestError(xhr, textStatus, request.url)).promise();
+            });
+
+            promise.abort = function(){
+                xhr.abort();
+            };
+
+            return promise;
+        };
+    };
+
+    // ### QLM.transports.fetch(options)
+
+    // Issues requests with the Fetch API. This is the default transport without jQuery. Requests can
+    // only be aborted where `AbortController` is supported. On runtimes without a global `fetch`, e.g.
+    // older versions of Node.js, pass an implementation as the `fetch` option, or creating the transport
+    // throws. Outside the browser, `serviceURL` must be absolute.
+    var fetchTransport = function(options){
+        options = extend({}, transportDefaults, options);
+
+        if(!options.fetch && typeof fetch !== 'function'){
+            throw new Error('The fetch transport requires the Fetch API, or an implementation as the fetch option.');
+        }
+
+        var fetchRequest = options.fetch || function(url, init){
+            return fetch(url, init);
+        };
+
+        return function(request){
+            var result = defer(),
+                controller = typeof AbortController === 'function' ? new AbortController() : null,
+                init = {
+                    method: options.method,
+                    headers: getHeaders(options, request),
+                    credentials: options.withCredentials ? 'include' : 'same-origin'
+                },
+                promise;
+
+            if(options.serializeBody){
+                init.body = options.serializeBody(request);
+                init.headers['Content-Type'] = options.contentType;
+            }
+
+            if(controller){
+                init.signal = controller.signal;
+            }
+
+            fetchRequest(request.url, init).then(function(response){
+
+                if(!response.ok){
+                    result.reject(new QLMError(QLMError.HTTP, 'Request to ' + request.url + ' failed (status ' + response.status + ').', {
+                        status: response.status,
+                        url: request.url
+                    }));
+                    return;
+                }
+
+                return response.json().then(function(body){
+                    result.resolve(new TransportResult(body, response));
+                }, function(e){
+                    result.reject(new QLMError(QLMError.PARSE, 'Could not parse the response of ' + request.url + ': ' + e.message, {
+                        status: response.status,
+                        url: request.url,
+                        cause: e
+                    }));
+                });
+
+            }, function(e){
+                var aborted = e && e.name === 'AbortError';
+
+                result.reject(new QLMError(aborted ? QLMError.ABORTED : QLMError.NETWORK, 'Request to ' + request.url + ' failed: ' + e.message, {
+                    status: 0,
+                    url: request.url,
+                    cause: e
+                }));
+            });
+
+            promise = result.promise;
+
+            promise.abort = function(){
+                if(controller){
+                    controller.abort();
+                }
+            };
+
+            return promise;
+        };
+    };
+
+    // ## Query serialization
+
+    // Encodes a parameter name, leaving the brackets of nested names readable
+    var encodeName = function(name){
+        return encodeURIComponent(name).replace(/%5B/g, '[').replace(/%5D/g, ']');
+    };
+
+    // Serializes the given parameters into a query string. `style` determines how arrays are
+    // serialized, and is one of `repeat` (`a=1&a=2`), `bracket` (`a[]=1&a[]=2`) and `comma` (`a=1,2`).
+    // Objects are serialized as `a[b]=1`, and `null` or `undefined` values are omitted.
+    var serializeQuery = function(parameters, style){
+        var pairs = [],
+
+            add = function(name, value){
+                if(value === null || value === undefined){
+                    return;
+                }
+
+                if(Array.isArray(value)){
+                    value = value.filter(isDefined);
+
+                    if(style === 'comma'){
+                        if(value.length){
+                            pairs.push(encodeName(name) + '=' + value.map(function(v){ return encodeURIComponent(v); }).join(','));
+                        }
+                    }else{
+                        each(value, function(index, v){
+                            add(style === 'bracket' ? name + '[]' : name, v);
+                        });
+                    }
+                }else if(isPlainObject(value)){
+                    each(value, function(key, v){
+                        add(name + '[' + key + ']', v);
+                    });
+                }else{
+                    pairs.push(encodeName(name) + '=' + encodeURIComponent(value));
+                }
+            };
+
+        each(parameters, add);
+
+        return pairs.join('&');
+    };
+
+    // ## Paginators
+
+    // Ready-made paginator objects for common pagination strategies, created by the factories below.
+    // See the paginator section of the configuration for how paginators work.
+
+    // Returns the value at the given dot-separated path (e.g. `meta.next_cursor`) of an object.
+    // `path` can also be a function returning the value, given the object.
+    var getPath = function(object, path){
+        if(isFunction(path)){
+            return path(object);
+        }
+
+        each(path.split('.'), function(index, key){
+            object = object === null || object === undefined ? undefined : object[key];
+        });
+
+        return object;
+    };
+
+    // Returns the value of the given header, given a jqXHR or a Fetch API response object
+    var getResponseHeader = function(xhr, name){
+        if(!xhr){
+            return null;
+        }
+
+        if(isFunction(xhr.getResponseHeader)){
+            return xhr.getResponseHeader(name);
+        }
+
+        return xhr.headers ? xhr.headers.get(name) : null;
+    };
+
+    // Returns the URL of the link with the given relation in the RFC 5988 `Link` header of the
+    // given jqXHR or Fetch API response object, or `null` if there is no such link.
+    var getLink = function(xhr, rel){
+        var header = getResponseHeader(xhr, 'Link'),
+            link = /<([^>]*)>([^<]*)/g,
+            relation = new RegExp('rel="?[^"]*\\b' + rel + '\\b'),
+            match;
+
+        while(header && (match = link.exec(header))){
+            if(relation.test(match[2])){
+                return match[1];
+            }
+        }
+
+        return null;
+    };
+
+    // ### QLM.paginators.offset(options)
+
+    // Paginates using an offset and a limit, e.g. `offset=100&limit=50`. The parameter names and
+    // the page size can be customized with the `offsetName`, `limitName` and `limit` options, and
+    // the first offset with the `offset` option. Supports concurrent requests and `getPrevious()`.
+    var offsetPaginator = function(options){
+        options = extend({
+            offsetName: 'offset',
+            limitName: 'limit',
+            offset: 0,
+            limit: 50
+        }, options);
+
+        var state = {};
+        state[options.offsetName] = options.offset;
+        state[options.limitName] = options.limit;
+
+        return {
+            state: state,
+            resizable: true,
+            pageSize: function(currentState){
+                return currentState[options.limitName];
+            },
+            next: function(currentState){
+                var nextState = extend({}, currentState);
+                nextState[options.offsetName] += currentState[options.limitName];
+                return nextState;
+            },
+            prev: function(currentState){
+                var prevState = extend({}, currentState),
+                    limit = Math.min(currentState[options.limitName], currentState[options.offsetName]);
+
+                if(limit <= 0){
+                    return null;
+                }
+
+                prevState[options.offsetName] -= limit;
+                prevState[options.limitName] = limit;
+                return prevState;
+            }
+        };
+    };
+
+    // ### QLM.paginators.page(options)
+
+    // Paginates using a page number and a page size, e.g. `page=3&per_page=50`. The parameter names,
+    // the first page number and the page size can be customized with the `pageName`, `sizeName`,
+    // `firstPage` and `size` options. To start from another page, provide its number as the `page`
+    // option. Supports concurrent requests and `getPrevious()`.
+    var pagePaginator = function(options){
+        options = extend({
+            pageName: 'page',
+            sizeName: 'per_page',
+            firstPage: 1,
+            size: 50
+        }, options);
+
+        var state = {};
+        state[options.pageName] = options.page || options.firstPage;
+        state[options.sizeName] = options.size;
+
+        return {
+            state: state,
+            pageSize: function(currentState){
+                return currentState[options.sizeName];
+            },
+            next: function(currentState){
+                var nextState = extend({}, currentState);
+                nextState[options.pageName] += 1;
+                return nextState;
+            },
+            prev: function(currentState){
+                var prevState = extend({}, currentState);
+
+                if(currentState[options.pageName] <= options.firstPage){
+                    return null;
                 }
+
+                prevState[options.pageName] -= 1;
+                return prevState;
+            }
+        };
+    };
+
+    // ### QLM.paginators.cursor(path, options)
+
+    // Paginates using an opaque cursor found in the response body at the given path, e.g.
+    // `next_cursor` or `meta.next`. The cursor is sent as the `cursor` parameter, which can be
+    // renamed with the `name` option. Other parameters to send with every request, like the
+    // page size, can be given as the `state` option. The server is considered exhausted when the
+    // response doesn't contain a cursor.
+
+    // To support `getPrevious()`, provide the path of the cursor to the previous page as the
+    // `prevPath` option. That cursor is sent as the `prevName` parameter, which defaults to `name`.
+    var cursorPaginator = function(path, options){
+        options = extend({
+            name: 'cursor',
+            prevPath: null,
+            prevName: null,
+            state: {}
+        }, options);
+
+        // Returns the state with the cursor at the given path of the response, sent as the
+        // parameter with the given name, or `null` if there is no cursor
+        var follow = function(currentState, response, cursorPath, name){
+            var cursor = response === undefined ? null : getPath(response, cursorPath),
+                state;
+
+            if(cursor === null || cursor === undefined || cursor === ''){
+                return null;
+            }
+
+            state = extend({}, currentState);
+            delete state[options.name];
+            delete state[options.prevName || options.name];
+            state[name] = cursor;
+            return state;
+        };
+
+        var paginator = {
+            state: extend({}, options.state),
+            next: function(currentState, response){
+                return follow(currentState, response, path, options.name);
+            }
+        };
+
+        if(options.prevPath){
+            paginator.prev = function(currentState, response){
+                return follow(currentState, response, options.prevPath, options.prevName || options.name);
+            };
+        }
+
+        return paginator;
+    };
+
+    // ### QLM.paginators.linkHeader(options)
+
+    // Paginates by following the `rel="next"` URL of the RFC 5988 `Link` response header. Query
+    // parameters are only used for the first request, since the next URL is expected to contain
+    // them. Parameters to send with the first request, like the page size, can be given as the
+    // `state` option. The server is considered exhausted when there is no next link. The
+    // `rel="prev"` URL is followed by `getPrevious()`.
+    var linkHeaderPaginator = function(options){
+        options = extend({
+            state: {}
+        }, options);
+
+        return {
+            state: extend({}, options.state),
+            next: function(currentState, response, xhr){
+                var url = getLink(xhr, 'next');
+                return url ? {url: url} : null;
             },
+            prev: function(currentState, response, xhr){
+                var url = getLink(xhr, 'prev');
+                return url ? {url: url} : null;
+            },
+            url: function(currentState){
+                return currentState.url;
+            }
+        };
+    };
+
+    // ## Storage adapters
+
+    // Snapshots of instances are persisted using a storage adapter (see the persistence section of
+    // the configuration). An adapter is an object providing `getItem(key)`, `setItem(key, value)` and
+    // `removeItem(key)`, like the Web Storage API. Values are plain objects, so adapters take care of
+    // serialization if needed. The methods may return promises, for asynchronous storage.
+
+    // ### QLM.storage.memory()
+
+    // Keeps snapshots in memory. Share the adapter between instances to restore snapshots in
+    // single-page applications.
+    var memoryStorage = function(){
+        var values = {};
+
+        return {
+            getItem: function(key){
+                return values.hasOwnProperty(key) ? extend(true, {}, values[key]) : null;
+            },
+            setItem: function(key, value){
+                values[key] = extend(true, {}, value);
+            },
+            removeItem: function(key){
+                delete values[key];
+            }
+        };
+    };
+
+    // ### QLM.storage.session(storage)
+
+    // Keeps snapshots in `sessionStorage`, or in the given Web Storage object, serialized as JSON.
+    // This is the default adapter.
+    var sessionStorageAdapter = function(storage){
+        storage = storage || window.sessionStorage;
+
+        return {
+            getItem: function(key){
+                var value = storage.getItem(key);
+                return value === null ? null : JSON.parse(value);
+            },
+            setItem: function(key, value){
+                storage.setItem(key, JSON.stringify(value));
+            },
+            removeItem: function(key){
+                storage.removeItem(key);
+            }
+        };
+    };
+
+    // ### QLM.storage.indexedDB(options)
+
+    // Keeps snapshots in IndexedDB, which suits large caches. The `database` and `store` names can
+    // be customized with the options of the same name.
+    var indexedDBStorage = function(options){
+        options = extend({
+            database: 'qlm',
+            store: 'snapshots'
+        }, options);
+
+        var database = null,
+
+            // Returns a promise of the result of the given IndexedDB request
+            settle = function(request){
+                var deferred = defer();
+
+                request.onsuccess = function(){
+                    deferred.resolve(request.result);
+                };
+                request.onerror = function(){
+                    deferred.reject(request.error);
+                };
+
+                return deferred.promise;
+            },
+
+            // Opens the database once, creating the store if needed
+            open = function(){
+                if(!database){
+                    var request = window.indexedDB.open(options.database, 1);
+
+                    request.onupgradeneeded = function(){
+                        request.result.createObjectStore(options.store);
+                    };
+
+                    database = settle(request);
+                }
+                return database;
+            },
+
+            // Runs the given operation on the store, in a transaction of the given mode
+            run = function(mode, operation){
+                return open().then(function(db){
+                    return settle(operation(db.transaction(options.store, mode).objectStore(options.store)));
+                });
+            };
+
+        return {
+            getItem: function(key){
+                return run('readonly', function(store){
+                    return store.get(key);
+                }).then(function(value){
+                    return value === undefined ? null : value;
+                });
+            },
+            setItem: function(key, value){
+                return run('readwrite', function(store){
+                    return store.put(value, key);
+                });
+            },
+            removeItem: function(key){
+                return run('readwrite', function(store){
+                    return store['delete'](key);
+                });
+            }
+        };
+    };
+
+    // ## Adapters
+
+    // Adapters make QLM fit in with other libraries, by replacing the functions it uses to create
+    // promises, trigger events on the `event.target` and issue requests by default. They affect the
+    // whole module, so they should be applied before creating instances.
+
+    // ### QLM.adapters.jquery($)
+
+    // Makes QLM behave as it did when it depended on jQuery: promises are jQuery deferreds, events are
+    // triggered on the `event.target` with jQuery, and requests are issued with `$.ajax`. This adapter
+    // is applied automatically when QLM is loaded with a script tag after jQuery.
+    var jQueryAdapter = function($){
+        environment.jQuery = $;
+
+        environment.defer = function(){
+            var deferred = new $.Deferred();
+
+            return {
+                promise: deferred.promise(),
+                resolve: deferred.resolve,
+                reject: deferred.reject
+            };
+        };
+
+        environment.trigger = function(target, name, payload){
+            $(target).trigger(name, [payload]);
+        };
+
+        environment.transport = function(){
+            return ajaxTransport();
+        };
+    };
+
+    // ### QLM.adapters.native()
+
+    // Reverts to native promises, DOM events and the Fetch API.
+    var nativeAdapter = function(){
+        environment = extend({}, nativeEnvironment);
+    };
+
+    // ## Merging
+
+    // `QLM.merge()` blends the items of several instances, e.g. from different endpoints, into a
+    // single list with the same `get()` method.
+
+    // The options of `QLM.merge()`
+    var mergeDefaults = {
+
+        // How items are picked from the sources: `'roundRobin'` takes one item from each source in
+        // turn, `'weighted'` takes as many items from each source in turn as its weight, and `'sorted'`
+        // takes the first item according to `compare`, like merging sorted lists. Sources with no
+        // items left are skipped.
+        strategy: 'roundRobin',
+
+        // The number of items taken from each source in turn with the `'weighted'` strategy, e.g.
+        // `[2, 1, 1]` to take twice as many items from the first source as from the others
+        weights: null,
+
+        // A function comparing two items with the `'sorted'` strategy, like the callback of
+        // `Array.prototype.sort()`, e.g. by date. Each source has to return its items in this order.
+        compare: null
+    };
+
+    var mergeStrategies = ['roundRobin', 'weighted', 'sorted'];
+
+    // ### QLM.merge(sources, options): Object
+
+    // Returns a composite of the given instances, whose `get()` returns their items merged according
+    // to the strategy. Items are taken from each source only when they're needed to decide which item
+    // comes next, so each source prefetches according to its own config. The composite also has
+    // `size()`, `isExhausted()`, `reset()` and `destroy()`, which apply to all the sources.
+    var merge = function(sources, options){
+        options = extend({}, mergeDefaults, options);
+
+        if(mergeStrategies.indexOf(options.strategy) === -1){
+            throw new Error('Unknown merge strategy: ' + options.strategy + '.');
+        }
+
+        if(options.strategy === 'weighted' && !(options.weights && options.weights.length === sources.length && options.weights.every(function(weight){
+            return weight >= 1;
+        }))){
+            throw new Error('The weighted strategy requires a weight of at least 1 for each source.');
+        }
+
+        if(options.strategy === 'sorted' && !isFunction(options.compare)){
+            throw new Error('The sorted strategy requires a compare function.');
+        }
+
+        // The items taken from each source but not picked yet, and whether each source has no items left
+        var heads = [],
+            drained = [],
+
+            // The items picked but not returned yet, e.g. because a source failed while picking
+            // the following ones
+            ready = [],
+
+            // The source whose turn it is, and the number of items taken from it in this turn
+            turn = 0,
+            taken = 0,
+
+            // Calls to `get()` are handled one after the other, so that items are returned in order
+            queue = resolved(),
+
+            // Clears the items taken from the sources, and starts over from the first source
+            clear = function(){
+                heads = sources.map(function(){
+                    return [];
+                });
+                drained = sources.map(function(){
+                    return false;
+                });
+                ready = [];
+                turn = 0;
+                taken = 0;
+            },
+
+            // Takes an item from the source with the given index, unless one was taken already or the
+            // source has no items left
+            fill = function(index){
+                if(heads[index].length || drained[index]){
+                    return resolved();
+                }
+
+                return sources[index].get(1).then(function(items){
+                    if(items.length){
+                        heads[index].push(items[0]);
+                    }else{
+                        drained[index] = true;
+                    }
+                });
+            },
+
+            // Moves the turn to the next source
+            nextTurn = function(){
+                turn = (turn + 1) % sources.length;
+                taken = 0;
+            },
+
+            // Picks an item from the source whose turn it is, skipping those with no items left.
+            // `skipped` is the number of sources skipped so far. Resolves with false if there are
+            // no items left in any source.
+            pickInTurn = function(skipped){
+                if(skipped === sources.length){
+                    return resolved(false);
+                }
+
+                if(taken >= (options.strategy === 'weighted' ? options.weights[turn] : 1)){
+                    nextTurn();
+                }
+
+                var index = turn;
+
+                return fill(index).then(function(){
+                    if(!heads[index].length){
+                        nextTurn();
+                        return pickInTurn(skipped + 1);
+                    }
+
+                    ready.push(heads[index].shift());
+                    taken++;
+
+                    return true;
+                });
+            },
+
+            // Picks the first item of all sources according to `compare`, favoring earlier sources
+            // for equal items. Resolves with false if there are no items left in any source.
+            pickSorted = function(){
+                return all(sources.map(function(source, index){
+                    return fill(index);
+                })).then(function(){
+                    var first = -1;
+
+                    each(heads, function(index, head){
+                        if(head.length && (first === -1 || options.compare(head[0], heads[first][0]) < 0)){
+                            first = index;
+                        }
+                    });
+
+                    if(first === -1){
+                        return false;
+                    }
+
+                    ready.push(heads[first].shift());
+
+                    return true;
+                });
+            },
+
+            get = function(numberOfItems){
+                var result = queue.then(function(){
+                    var pick = function(){
+                        if(ready.length >= numberOfItems){
+                            return;
+                        }
+
+                        return (options.strategy === 'sorted' ? pickSorted() : pickInTurn(0)).then(function(picked){
+                            return picked ? pick() : undefined;
+                        });
+                    };
+
+                    return toPromise(pick()).then(function(){
+                        return ready.splice(0, numberOfItems);
+                    });
+                });
+
+                queue = result.then(null, function(){});
+
+                return result;
+            },
+
+            size = function(){
+                return sources.reduce(function(count, source, index){
+                    return count + heads[index].length + source.size();
+                }, ready.length);
+            },
+
+            isExhausted = function(){
+                return !ready.length && sources.every(function(source, index){
+                    return !heads[index].length && (drained[index] || source.isExhausted() && source.size() === 0);
+                });
+            },
+
+            reset = function(){
+                each(sources, function(index, source){
+                    source.reset();
+                });
+                clear();
+            },
+
+            destroy = function(){
+                each(sources, function(index, source){
+                    source.destroy();
+                });
+                clear();
+            };
+
+        clear();
+
+        return {
+            get: get,
+            size: size,
+            isExhausted: isExhausted,
+            reset: reset,
+            destroy: destroy
+        };
+    };
+
+    // ## DOM bindings
+
+    // Optional helpers wiring an instance to the page, for the common "infinite scroll" and "load
+    // more" button scenarios. Rendering is left to a `render(items)` callback.
+
+    // Adds or removes a class of an element
+    var toggleClass = function(element, name, enabled){
+        if(name){
+            element.classList[enabled ? 'add' : 'remove'](name);
+        }
+    };
+
+    // Returns true if the instance has no items left to return
+    var isDrained = function(qlm){
+        return qlm.isExhausted() && qlm.size() === 0;
+    };
+
+    // The options of `QLM.bindInfiniteScroll()`
+    var infiniteScrollDefaults = {
+
+        // The element marking the end of the list, e.g. an empty element after the last item. Items
+        // are loaded whenever it becomes visible.
+        sentinel: null,
+
+        // The scrolling container of the list, or `null` for the viewport
+        root: null,
+
+        // How close to the root the sentinel triggers loading, in the CSS margin syntax, e.g. `'200px'`
+        // to load before it's actually visible
+        rootMargin: '0px',
+
+        // The number of items to load at once
+        batchSize: 20,
+
+        // Called with the items loaded, which should be rendered before the sentinel
+        render: function(){},
+
+        // Called with the error when items can't be loaded. Loading stops until `retry()` is called
+        // on the binding.
+        onError: function(){}
+    };
+
+    // ### QLM.bindInfiniteScroll(qlm, options): Object
+
+    // Loads items whenever the sentinel becomes visible, and keeps loading while it stays visible.
+    // Uses `IntersectionObserver` where supported, and scroll events otherwise. When there are no
+    // items left, the sentinel is hidden and loading stops. Returns a binding with `retry()`, to
+    // resume loading after an error, and `destroy()`, to stop loading for good.
+    var bindInfiniteScroll = function(qlm, options){
+        options = extend({}, infiniteScrollDefaults, options);
+
+        var sentinel = options.sentinel,
+            loading = false,
+            failed = false,
+            destroyed = false,
+            intersecting = false,
+            observer = null,
+            scrollTarget = options.root || window,
+
+            // Returns true if the sentinel is within the root, extended by `rootMargin`
+            isVisible = function(){
+                if(observer){
+                    return intersecting;
+                }
+
+                var margin = parseInt(options.rootMargin, 10) || 0,
+                    bounds = sentinel.getBoundingClientRect(),
+                    rootBounds = options.root ? options.root.getBoundingClientRect() : {top: 0, bottom: window.innerHeight};
+
+                return bounds.top <= rootBounds.bottom + margin && bounds.bottom >= rootBounds.top - margin;
+            },
+
+            check = function(){
+                if(!loading && !failed && !destroyed && isVisible()){
+                    load();
+                }
+            },
+
+            load = function(){
+                loading = true;
+
+                qlm.get(options.batchSize).then(function(items){
+                    loading = false;
+
+                    if(destroyed){
+                        return;
+                    }
+
+                    options.render(items);
+
+                    if(isDrained(qlm)){
+                        sentinel.hidden = true;
+                        destroy();
+                    }else if(observer){
+                        // observing again reports whether the sentinel is still visible after rendering
+                        observer.unobserve(sentinel);
+                        observer.observe(sentinel);
+                    }else{
+                        check();
+                    }
+                }, function(error){
+                    loading = false;
+
+                    if(!destroyed){
+                        failed = true;
+                        options.onError(error);
+                    }
+                });
+            },
+
+            retry = function(){
+                failed = false;
+                check();
+            },
+
+            destroy = function(){
+                destroyed = true;
+
+                if(observer){
+                    observer.disconnect();
+                }else{
+                    scrollTarget.removeEventListener('scroll', check);
+                    window.removeEventListener('resize', check);
+                }
+            };
+
+        if(typeof IntersectionObserver === 'function'){
+            observer = new IntersectionObserver(function(entries){
+                intersecting = entries[entries.length - 1].isIntersecting;
+                check();
+            }, {
+                root: options.root,
+                rootMargin: options.rootMargin
+            });
+
+            observer.observe(sentinel);
+        }else{
+            scrollTarget.addEventListener('scroll', check);
+            window.addEventListener('resize', check);
+            check();
+        }
+
+        return {
+            retry: retry,
+            destroy: destroy
+        };
+    };
+
+    // The options of `QLM.bindLoadMoreButton()`
+    var loadMoreButtonDefaults = {
+
+        // The number of items to load on each click
+        batchSize: 20,
+
+        // Called with the items loaded
+        render: function(){},
+
+        // Called with the error when items can't be loaded
+        onError: function(){},
+
+        // The class of the button while items are being loaded
+        loadingClass: 'qlm-loading',
+
+        // The class of the button after an error. Clicking it again retries.
+        errorClass: 'qlm-error',
+
+        // The text of the button after an error, or `null` to leave the text as is
+        retryText: 'Retry'
+    };
+
+    // ### QLM.bindLoadMoreButton(button, qlm, options): Object
+
+    // Loads items when the button is clicked. The button is disabled until they're returned, and
+    // while items are being loaded by other callers of `get()`, hidden when there are no items left, and turned into a
+    // retry button after an error. Returns a binding with `destroy()`, to detach it.
+    var bindLoadMoreButton = function(button, qlm, options){
+        options = extend({}, loadMoreButtonDefaults, options);
+
+        var text = button.textContent,
+
+            // whether a request is ongoing, according to the events
+            loading = false,
+
+            // whether the `get()` of a click hasn't settled yet. It may not issue a request, e.g. when
+            // waiting for a background one, or when enough items are buffered already.
+            clicked = false,
+
+            updateLoading = function(){
+                var busy = loading || clicked;
+
+                button.disabled = busy;
+                toggleClass(button, options.loadingClass, busy);
+            },
+
+            setFailed = function(failed){
+                toggleClass(button, options.errorClass, failed);
+
+                if(options.retryText !== null){
+                    button.textContent = failed ? options.retryText : text;
+                }
+            },
+
+            onLoadStarted = function(){
+                loading = true;
+                updateLoading();
+            },
+
+            onLoadFinished = function(){
+                loading = false;
+                updateLoading();
+            },
+
+            update = function(){
+                button.hidden = isDrained(qlm);
+            },
+
+            onClick = function(){
+                if(button.disabled || clicked){
+                    return;
+                }
+
+                clicked = true;
+                updateLoading();
+
+                qlm.get(options.batchSize).then(function(items){
+                    clicked = false;
+                    updateLoading();
+                    setFailed(false);
+                    options.render(items);
+                    update();
+                }, function(error){
+                    clicked = false;
+                    updateLoading();
+                    setFailed(true);
+                    options.onError(error);
+                });
+            },
+
+            destroy = function(){
+                button.removeEventListener('click', onClick);
+                qlm.off('loadStarted', onLoadStarted);
+                qlm.off('loadFinished', onLoadFinished);
+                qlm.off('exhausted', update);
+            };
+
+        button.addEventListener('click', onClick);
+        qlm.on('loadStarted', onLoadStarted);
+        qlm.on('loadFinished', onLoadFinished);
+        qlm.on('exhausted', update);
+
+        return {
+            destroy: destroy
+        };
+    };
+
+    // The number of instances created so far, used to generate instance ids
+    var instanceCount = 0;
+
+    var QLM = function(customConfig){
+
+        // The only critically required parameter is `serviceURL`, and 
+        // we should make this as clear as possible.
+        if(!customConfig.serviceURL){
+            throw new Error('No service URL provided.');
+        }
+
+        // ## Configuration
+
+        // To make QLM work, you'll need to provide `serviceURL`, the URL of your AJAX endpoint. You'll most likely
+        // have to provide implementations for `paginator`, `isServerExhausted` and `extractItems` depending on your
+        // pagination strategy.
+
+        // This is the default config object, to be extended with the config the user provides.
+        var config = {
+
+            // ### Miscellaneous configuration
+
+            // When the item count is less than this value, a background request will be issued to load more items.
+            lowItemThreshold: 20,
+
+            // The same, for the items preceding those returned so far, loaded by `getPrevious()`
+            lowPreviousItemThreshold: 20,
+
+            // ### Adaptive prefetching
+
+            // A fixed `lowItemThreshold` is too low for fast consumers on slow networks, and wasteful
+            // for slow ones. In adaptive mode, QLM measures how fast `get()` consumes items and how long
+            // requests take, and sets the threshold to the number of items consumed during a request,
+            // so that the local cache is refilled before it runs dry. `lowItemThreshold` is only used
+            // until both have been measured.
+            adaptive: {
+
+                // Set to `true` to enable adaptive mode
+                enabled: false,
+
+                // The bounds of the threshold
+                minThreshold: 10,
+                maxThreshold: 200,
+
+                // The threshold is multiplied by this factor, to leave room for variations
+                safetyFactor: 1.5,
+
+                // The weight of new measurements against previous ones, between 0 and 1. Higher values
+                // adapt faster, lower values are less sensitive to outliers.
+                smoothing: 0.3,
+
+                // If set, the paginator state property with this name (e.g. `count`) is set to the
+                // threshold before each request, so that a single page refills the local cache. Only
+                // paginators locating pages by item offset support this, i.e. the default one and
+                // `QLM.paginators.offset()`, or custom ones declaring `resizable: true`. Changing the
+                // size of numbered pages would skip or repeat items, so other paginators throw.
+                countName: null,
+
+                // The bounds of the page size, when `countName` is set
+                minCount: 10,
+                maxCount: 100
+            },
+
+            // The id of this instance, passed with every event. Generated if not provided.
+            id: null,
+
+            // Configuration of events emitted by this component. Handlers can be attached to an
+            // instance with `on()`, and receive a payload object which contains the event `type`,
+            // the `instance` id and details of the event.
+            event: {
+
+                // Events are also triggered on this element as DOM events, with the payload as their
+                // `detail`, e.g. `document.addEventListener('qlm.loadFinished', function(e){})`. With the
+                // jQuery adapter, they're triggered as namespaced jQuery events, with the payload as the
+                // extra parameter, e.g. `$(document).on('qlm.loadFinished', function(e, payload){})`.
+                // Set it to `null` to only emit events on the instance.
+                target: typeof document === 'undefined' ? null : document,
+
+                // The prefix for the events triggered on `target`
+                namespace: 'qlm',
+
+                // The names for the events triggered on `target`
+                names: {
+
+                    // This will be triggered when loading starts, but not for background requests.
+                    // The payload contains the `requested` item count.
+                    loadStarted: 'loadStarted',
+
+                    // This will be triggered when loading finishes, but not for background requests.
+                    // The payload contains the `requested` item count, the `items` returned, the `url`
+                    // of the last request and the `duration` of loading in milliseconds.
+                    loadFinished: 'loadFinished',
+                    
+                    // This will be triggered in case of AJAX errors. The payload contains the `error`,
+                    // the `requested` item count and the `url` of the request.
+                    error: 'error',
+                    
+                    // This will be triggered if it's not possible to return any more items. The payload
+                    // contains the `url` of the last request.
+                    exhausted: 'exhausted',
+
+                    // This will be triggered when the live source finds items newer than those loaded,
+                    // see the `live` config. The payload contains the `count` and the new `items`.
+                    newItemsAvailable: 'newItemsAvailable'
+
+                    // The payloads of the events caused by `getPrevious()` also contain the `direction`,
+                    // which is `'previous'`.
+                }
+            },
+
+            // The query parameters (if any), to be used when making requests to the server.
+            // The parameters can be set after using the `setParameter` method.
+            queryParameters: {},
+
+            // ### The paginator object
+
+            // The paginator object is responsible to keep track of the pagination state and provide
+            // a means to calculate the next state, given the previous state and the server response.
+
+            // A default paginator implementation is provided. It uses `start` and `count` parameters
+            // to paginate queries. Its state can be customized by providing a `paginator` with a
+            // `state` only. A `paginator` which provides its own `next` function replaces the default
+            // one entirely. Paginators for other common strategies are available in `QLM.paginators`.
+            paginator: {
+
+                // The paginator state. The key-value pairs inside will be serialized into the URL as
+                // query parameters, so the schema of the `state` object will reflect your pagination
+                // strategy.
+                state: {
+                    start: 0,
+                    count: 50
+                },
+
+                // Given a state, return the number of items in a page. Paginators that can compute the
+                // next state without the server response should provide this function, which enables
+                // concurrent requests (see `concurrency`).
+                pageSize: function(currentState){
+                    return currentState.count;
+                },
+
+                // Whether the page size can change from one page to the next, i.e. the state locates
+                // pages by item offset rather than by page number. Required by `adaptive.countName`.
+                resizable: true,
+
+                // Given a state, calculate and return the next state. Ideally, this function shouldn't
+                // have any side effects. The server response and the jqXHR (or the equivalent object of
+                // the transport) are also passed, for strategies which depend on them. Returning `null`
+                // means there are no more pages, i.e. the server is exhausted.
+
+                // A paginator may also provide a `url` function. Given a state, it returns the URL to
+                // request as is, or nothing to build one from the query parameters and the state.
+                next: function(currentState){
+                    currentState.start += currentState.count;
+                    return currentState;
+                },
+
+                // Given the state of the earliest page loaded so far, calculate and return the state
+                // of the page before it, or `null` if there is none. It's called with the response to
+                // that page, except when `getPrevious()` is called before any page is loaded. This
+                // function is only needed for `getPrevious()`, e.g. when the initial state starts
+                // in the middle of the list.
+                prev: function(currentState){
+                    var count = Math.min(currentState.count, currentState.start);
+
+                    if(count <= 0){
+                        return null;
+                    }
+
+                    currentState.start -= count;
+                    currentState.count = count;
+                    return currentState;
+                }
+            },
+
+            //  ### Item exhaustion detection
+
+            // To know when to stop querying the server, a means of determining whether there are no more
+            // items to return from the server should be provided. This function, given a server response,
+            // should return a boolean indicating whether the server ran out of items.
+
+            // A default implementation is provided here.
+            isServerExhausted: function(response){
+                return response.exhausted;
+            },
+
+            // ### Item extraction
+
+            // To populate the local cache, QLM needs a means of extracting items from the response. This
+            // function, given a server response, should return an array of items.
+
+            // A default implementation is provided here.
+            extractItems: function(response){
+                return response.items;
+            },
+
+            // ### Item deduplication
+
+            // With offset based pagination, items inserted or removed on the server between requests
+            // cause items to be received twice. If `itemKey` is provided, items whose key has already
+            // been seen since the last query change are dropped. It's either the name of the property
+            // holding the key, or a function which, given an item, returns its key. Keys are compared
+            // as strings.
+            itemKey: null,
+
+            // ### Response validation
+
+            // Given a server response and the jqXHR (or the equivalent object of the transport), returns
+            // whether the response is valid. Returning `false` or a message describing the problem, or
+            // throwing, marks it as invalid. Responses are also invalid if `extractItems` doesn't return
+            // an array. Invalid responses fail like failed requests, with a `QLMError` of the `invalid`
+            // kind, and don't change the local cache or the pagination state.
+            validateResponse: null,
+
+            // ### Item pipeline
+
+            // Items extracted from a response go through these functions, in this order, before they're
+            // added to the local cache. If any of them fails, the page fails like a failed request. Items
+            // which are filtered out don't count toward the number of items `get()` returns, so more
+            // pages are requested until enough items remain, or the server is exhausted. Duplicates are
+            // dropped afterwards, so `itemKey` applies to the resulting items.
+
+            // Given an item, returns the item to add in its place, e.g. to normalize its shape.
+            // Returning `null` or `undefined` drops the item.
+            transformItem: null,
+
+            // Given an item, returns whether to keep it, e.g. to hide items the user blocked.
+            filterItem: null,
+
+            // Given the items of a page, returns them, or a promise resolved with them, e.g. after
+            // fetching related data in a single request. The items may be replaced or dropped.
+            enrichItems: null,
+
+            // ### Retained mode
+
+            // By default, items are removed from the local cache once returned by `get()`. In retained
+            // mode, QLM keeps the whole list of items loaded, with a read cursor at the offset of the next
+            // item `get()` returns. Items can be read again with `getRange()`, and the cursor moved with
+            // `seek()`, e.g. to build virtualized lists. Offsets are counted from the first item of the
+            // initial page, and items returned by `getPrevious()` aren't part of the list.
+            retain: {
+
+                // Set to `true` to enable retained mode
+                enabled: false,
+
+                // The maximum number of items kept in memory. Beyond that, the pages farthest from the
+                // cursor are evicted, and requested again when they're read. There is no limit by default.
+                maxItems: null
+            },
+
+            // ### Persistence
+
+            // When the user navigates away and comes back, a new instance would load everything from
+            // the first page again. With persistence, the state of an instance (the local cache, the
+            // number of items consumed, the paginator state and the query parameters) is saved as a
+            // snapshot after each change, and `restore()` brings it back without issuing requests.
+            persistence: {
+
+                // The key the snapshot is stored under. Persistence is disabled unless it's provided.
+                key: null,
+
+                // The storage adapter, see `QLM.storage`. Defaults to `QLM.storage.session()`.
+                storage: null,
+
+                // Snapshots older than this many milliseconds aren't restored
+                ttl: 30 * 60 * 1000
+            },
+
+            // ### Live updates
+
+            // Lists may get new items while they're being read. Once `startLiveUpdates()` is called, QLM
+            // looks for items newer than the newest item known (the first item loaded, at first), by
+            // polling, by listening to Server-Sent Events, or both. New items are announced with the
+            // `newItemsAvailable` event, and can be added to the list with `prepend()`. The pagination
+            // state is left untouched.
+            live: {
+
+                // The interval between requests for new items in milliseconds. Polling is disabled by
+                // default.
+                interval: null,
+
+                // Given the newest item known, returns the query parameters of the request for newer
+                // items, e.g. `function(head){ return {since: head.createdAt}; }`. They're added to the
+                // query parameters, but the paginator state isn't. Items are extracted from the response
+                // as usual, and are expected newest first.
+                parameters: function(){
+                    return {};
+                },
+
+                // The URL of a Server-Sent Events stream whose messages carry new items, or an object
+                // with the `EventSource` interface
+                eventSource: null,
+
+                // Given the data of a message of the event source, returns the new items it carries. By
+                // default, the data is parsed as the JSON of an item or an array of items.
+                parseMessage: function(data){
+                    var parsed = JSON.parse(data);
+                    return Array.isArray(parsed) ? parsed : [parsed];
+                }
+            },
+
+            // ### Server-side rendering
+
+            // A snapshot taken with `serialize()`, e.g. on the server after loading the first page, to
+            // start from instead of loading the same items again. See `QLM.hydrate()`.
+            snapshot: null,
+
+            // ### Concurrency
+
+            // The maximum number of pages requested at once when `get()` needs more than one page.
+            // Requests are only made concurrently with paginators that provide `pageSize`. Items are
+            // added to the local cache in page order, regardless of the order of the responses.
+            concurrency: 1,
+
+            // ### Query serialization
+
+            // How query parameters and the paginator state are serialized into the URL. Arrays are
+            // serialized as `a=1&a=2` with `'repeat'`, `a[]=1&a[]=2` with `'bracket'` and `a=1,2` with
+            // `'comma'`. Objects are serialized as `a[b]=1`, and `null` or `undefined` values are omitted.
+            // A function can be provided instead, which given the parameters returns the query string.
+            serializeQuery: 'repeat',
+
+            // ### Retrying failed requests
+
+            // Failed requests can be retried transparently, waiting longer before each attempt. When
+            // all attempts fail, `get()` rejects with a `QLMError` carrying the `status`, `url` and
+            // `attempts` of the last request.
+            retry: {
+
+                // The maximum number of attempts for a page, including the first one. Failed requests
+                // aren't retried by default.
+                attempts: 1,
+
+                // The delay before the first retry in milliseconds, doubled for each subsequent retry.
+                delay: 500,
+
+                // Up to this many milliseconds are randomly added to each delay, so that clients
+                // don't retry in lockstep.
+                jitter: 100,
+
+                // The HTTP statuses for which a request is retried. `0` stands for network errors
+                // and timeouts.
+                statuses: [0, 408, 429, 500, 502, 503, 504],
+
+                // Whether requests are retried when the response is invalid (see `validateResponse`),
+                // e.g. for servers which occasionally send truncated bodies
+                invalidResponses: false
+            },
+
+            // ### Transport
+
+            // The function used to issue requests to the server. See the Transports section above for
+            // its signature. Use `QLM.transports.fetch(options)` or `QLM.transports.ajax(options)` to
+            // customize the method, headers, body or credentials of the requests, or provide your own.
+            // Defaults to the former, or to the latter with the jQuery adapter.
+            transport: null
+
+        };
+
+
+        // Augment the default configuration using user-supplied values, overriding when possible
+        extend(true, config, customConfig);
+
+        // A paginator with its own `next` function implements a different strategy, so it shouldn't
+        // inherit the default state.
+        if(customConfig.paginator && customConfig.paginator.next){
+            config.paginator = extend(true, {}, customConfig.paginator);
+        }
+
+        if(config.adaptive.enabled && config.adaptive.countName && !config.paginator.resizable){
+            throw new Error('adaptive.countName requires a paginator with resizable pages, e.g. QLM.paginators.offset().');
+        }
+
+        // Deep extension merges arrays index by index, but a list of retryable statuses should
+        // replace the default one.
+        if(customConfig.retry && customConfig.retry.statuses){
+            config.retry.statuses = customConfig.retry.statuses;
+        }
+        
+
+        // The item storage
+        var localCache = [],
+
+            // The id of this instance
+            id = config.id || 'qlm-' + (++instanceCount),
+
+            // The handlers attached with `on()`, by event name
+            listeners = {},
+
+            // The URL of the last request issued
+            lastURL = null,
+
+            // shortcuts to the functions in the config
+            paginator = config.paginator,
+            isServerExhausted = config.isServerExhausted,
+            extractItems = config.extractItems,
+            transport = config.transport || environment.transport(),
+
+            // A copy of the initial paginator state, used to start over when the query changes
+            initialPaginatorState = extend(true, {}, paginator.state),
+
+            // The promise returned by the transport for the ongoing server request (if any), kept to be
+            // able to abort it
+            ongoingRequest = null,
+
+            // The promise object of the ongoing server request (if any)
+            ongoingRequestPromise = null,
+
+            // A copy of the paginator state the ongoing request was issued with
+            ongoingRequestState = null,
+
+            // Incremented every time ongoing requests are discarded, e.g. when the query changes. Responses
+            // to requests issued for an older generation are ignored, so stale items never end up in the
+            // local cache, even if the transport can't abort requests.
+            requestGeneration = 0,
+
+            // Whether the server ran out of items. Once set, no more requests are issued.
+            serverExhausted = false,
+
+            // Whether `destroy()` has been called on this instance
+            destroyed = false,
+
+            // The error a background request failed with (if any), to be handled by the next `get()`
+            prefetchError = null,
+
+            // The keys of the items received since the last query change, used as a set. It has no
+            // prototype, so that any key can be stored, e.g. `"__proto__"` or `"hasOwnProperty"`.
+            seenKeys = Object.create(null),
+
+            // Counters describing the activity of this instance, returned by `stats()`
+            statistics = {
+                requests: 0,
+                items: 0,
+                duplicates: 0
+            },
+
+            // The measured consumption rate in items per millisecond, and request duration in
+            // milliseconds, used in adaptive mode
+            consumptionRate = null,
+            requestDuration = null,
+
+            // The time of the last `get()` call
+            lastGetTime = null,
+
+            // The number of items returned by `get()` since the last query change
+            consumedCount = 0,
+
+            // The items preceding those returned so far, in list order, loaded by `getPrevious()`
+            previousCache = [],
+
+            // The paginator state of the page before the earliest page loaded, once it's known
+            // (see `startPrevious()`), and whether it's known
+            previousState = null,
+            previousStarted = false,
+
+            // Whether there are no items before the earliest page loaded. Loading previous items
+            // requires a paginator with a `prev` function.
+            previousExhausted = !paginator.prev,
+
+            // In retained mode, the offset and size of each page in the local cache, along with the
+            // paginator state to request it again with, and whether it has been evicted
+            pageRecords = [],
+
+            // The page requested for `getPrevious()` (if any), and the promise of its handling
+            ongoingPreviousRequest = null,
+            ongoingPreviousPromise = null,
+
+            // The newest item known: the first item loaded or prepended, or the newest item found by the
+            // live source
+            head = null,
+
+            // The middlewares, in the order they were added with `use()`
+            middlewares = [],
+
+            // Whether the live source is started, the timer of the next poll, and the event source
+            watching = false,
+            liveTimer = null,
+            liveSource = null,
+
+            // The storage adapter snapshots are persisted with, if persistence is enabled
+            storage = config.persistence.key ? config.persistence.storage || sessionStorageAdapter() : null,
+
+            // Issues requests for the given number of pages (one by default) to populate the local
+            // cache. The pages are requested concurrently, but added to the local cache in order.
+            populateLocalCache = function(pageCount){
+                var generation = requestGeneration,
+                    adaptive = config.adaptive,
+                    pages = [],
+                    state = paginator.state,
+                    itemCount = 0,
+                    settled = false,
+                    promise;
+
+                if(destroyed){
+                    return rejectDestroyed();
+                }
+
+                // size the page according to the threshold in adaptive mode
+                if(adaptive.enabled && adaptive.countName && paginator.state.hasOwnProperty(adaptive.countName)){
+                    paginator.state[adaptive.countName] = clamp(threshold(), adaptive.minCount, adaptive.maxCount);
+                }
+
+                ongoingRequestState = extend(true, {}, paginator.state);
+
+                // the states of the following pages are computed in advance, which is only possible
+                // with paginators that don't need the response to do so, i.e. those with `pageSize`
+                pageCount = pageCount > 1 && paginator.pageSize ? pageCount : 1;
+
+                for(var i = 0; i < pageCount && state; i++){
+                    pages.push(requestPage(state));
+
+                    if(i < pageCount - 1){
+                        state = paginator.next(extend(true, {}, state));
+                    }
+                }
+
+                // aborts the requests of all pages
+                var abortPages = function(){
+                    each(pages, function(index, page){
+                        page.abort();
+                    });
+                };
+
+                ongoingRequest = {
+                    abort: abortPages
+                };
+
+                // handle the pages one after the other
+                promise = resolved();
+
+                each(pages, function(index, page){
+                    promise = promise.then(function(){
+
+                        // the pages after the last one are discarded
+                        if(index > 0 && serverExhausted){
+                            page.abort();
+                            return;
+                        }
+
+                        return page.promise.then(function(result){
+                            return handlePage(page, generation, result);
+                        }).then(function(count){
+                            itemCount += count;
+                        });
+                    });
+                });
+
+                promise = promise.then(function(){
+                    settled = true;
+
+                    if(generation === requestGeneration){
+                        ongoingRequest = null;
+                        ongoingRequestPromise = null;
+                    }
+
+                    // return retrieved items count
+                    return itemCount;
+
+                }, function(error){
+                    settled = true;
+
+                    if(generation === requestGeneration){
+                        ongoingRequest = null;
+                        ongoingRequestPromise = null;
+                    }
+
+                    // the pages after the one that failed are discarded
+                    abortPages();
+                    return rejected(error);
+                });
+
+                // with promises settled synchronously, like those of jQuery, a transport may settle the
+                // requests synchronously, in which case the handlers above have already run, and there
+                // is no ongoing request
+                if(!settled){
+                    ongoingRequestPromise = promise;
+                }
+
+                return promise;
+            },
+
+            // Requests the page before the earliest page loaded, to populate the backward buffer.
+            populatePreviousCache = function(){
+                var generation = requestGeneration,
+                    settled = false,
+                    page,
+                    promise;
+
+                if(destroyed){
+                    return rejectDestroyed();
+                }
+
+                page = requestPage(previousState, true);
+                ongoingPreviousRequest = page;
+
+                promise = always(page.promise.then(function(result){
+                    return handlePage(page, generation, result);
+                }), function(){
+                    settled = true;
+
+                    if(generation === requestGeneration){
+                        ongoingPreviousRequest = null;
+                        ongoingPreviousPromise = null;
+                    }
+                });
+
+                // as with `populateLocalCache()`, the request may already be settled
+                if(!settled){
+                    ongoingPreviousPromise = promise;
+                }
+
+                return promise;
+            },
+
+            // Sets the state of the page before the earliest page loaded, as computed by the `prev`
+            // function of the paginator, unless it's already known. Without a `response`, i.e. when no
+            // page has been loaded yet, the lack of a previous page isn't conclusive, since
+            // paginators may need the response to find it.
+            startPrevious = function(prevState, response){
+                if(previousStarted || previousExhausted){
+                    return;
+                }
+
+                if(prevState || response !== undefined){
+                    previousStarted = true;
+                    previousState = prevState;
+                    previousExhausted = !prevState;
+                }
+            },
+
+            // Issues a request for the page with the given paginator state, following the pages loaded
+            // so far, or preceding them if `previous` is true. Returns an object holding the `url`, the
+            // `state` and the `promise` of the request, and an `abort()` function. Once the response
+            // is received, the `outcome` of the page holds the paginator state of the page after it
+            // (`next`) or before it (`prev`), and whether the server is `exhausted`.
+            requestPage = function(state, previous){
+                var url = (paginator.url && paginator.url(state)) || getURL(config.queryParameters, state),
+
+                    // `request()` keeps the abortable object of the current attempt in here
+                    handle = {},
+
+                    page = {
+                        url: url,
+                        state: extend(true, {}, state),
+                        previous: !!previous,
+                        time: new Date().getTime(),
+                        abort: function(){
+                            if(handle.request && isFunction(handle.request.abort)){
+                                handle.request.abort();
+                            }
+                        }
+                    };
+
+                lastURL = url;
+
+                page.promise = request({
+                    url: url,
+                    parameters: extend(true, {}, config.queryParameters),
+                    paginatorState: extend(true, {}, state)
+                }, 1, handle, function(response, xhr){
+
+                    // computed on copies of the state, so that a response the paginator can't handle
+                    // is rejected before anything is changed
+                    page.outcome = {
+                        next: previous ? null : paginator.next(extend(true, {}, state), response, xhr),
+                        prev: paginator.prev && (previous || !previousStarted) ? paginator.prev(extend(true, {}, state), response, xhr) : null,
+                        exhausted: !!isServerExhausted(response)
+                    };
+                });
+
+                // pages discarded before being handled may fail, which isn't worth reporting
+                page.promise.then(null, function(){});
+
+                return page;
+            },
+
+            // Adds the items extracted from the response of the given page, a validated `TransportResult`,
+            // to the local cache once processed by the item pipeline. Returns a promise resolved with the
+            // number of items added, or rejected if the items can't be processed.
+            handlePage = function(page, generation, result){
+
+                // the query has changed since this request was issued, discard the response
+                if(generation !== requestGeneration){
+                    return 0;
+                }
+
+                requestDuration = average(requestDuration, new Date().getTime() - page.time);
+
+                var extracted = result.items;
+
+                return processItems(page, extracted).then(function(received){
+
+                    // the query may have changed while the items were being processed
+                    if(generation !== requestGeneration){
+                        return 0;
+                    }
+
+                    return addPage(page, result.response, result.xhr, received, extracted.length);
+                });
+            },
+
+            // Adds the given items, received in the response of the given page, to the local cache, and
+            // moves the pagination state forward. Pages requested by `getPrevious()` are added to the
+            // backward buffer instead, moving its pagination state backward. `extractedCount` is the
+            // number of items in the response, before any was filtered out. Returns the number of items
+            // added.
+            addPage = function(page, response, xhr, received, extractedCount){
+                var items = dropDuplicates(received);
+
+                statistics.requests++;
+                statistics.items += items.length;
+                statistics.duplicates += received.length - items.length;
+
+                if(page.previous){
+
+                    // prepend the items to the backward buffer, and move its pagination state backward
+                    Array.prototype.unshift.apply(previousCache, items);
+                    previousState = page.outcome.prev;
+
+                    if(!previousState || page.outcome.exhausted || extractedCount === 0){
+                        previousExhausted = true;
+                        triggerEvent('exhausted', {url: page.url, direction: 'previous'});
+                    }
+
+                    persist();
+
+                    return items.length;
+                }
+
+                // keep track of the page, to be able to request it again after it's evicted
+                if(config.retain.enabled){
+                    pageRecords.push({
+                        offset: localCache.length,
+                        count: items.length,
+                        state: page.state,
+                        evicted: false,
+
+                        // the indexes of the items that weren't dropped as duplicates, if any were
+                        kept: items.length === received.length ? null : received.map(function(item, index){
+                            return items.indexOf(item) === -1 ? null : index;
+                        }).filter(isDefined)
+                    });
+                }
+
+                // append the items to the local cache
+                Array.prototype.push.apply(localCache, items);
+
+                if(head === null && items.length){
+                    head = items[0];
+                }
+
+                // the page before the first one is found using its response
+                if(paginator.prev){
+                    startPrevious(page.outcome.prev, response);
+                }
+                
+                // move the pagination state forward, unless there are no more pages
+                var nextState = page.outcome.next;
+
+                if(nextState){
+                    paginator.state = nextState;
+                    ongoingRequestState = extend(true, {}, nextState);
+                }
+
+                // stop querying the server if it ran out of items. An empty page is treated the
+                // same way, since asking for the next one would be pointless. A page containing
+                // only duplicates or filtered out items isn't empty though.
+                if(!nextState || page.outcome.exhausted || extractedCount === 0){
+                    serverExhausted = true;
+                    triggerEvent('exhausted', {url: page.url});
+                }
+
+                persist();
+
+                return items.length;
+            },
+
+            // Extracts the items from the response to the given page. Throws a `QLMError` if they can't
+            // be extracted.
+            extract = function(page, response){
+                try{
+                    return extractItems(response);
+                }catch(e){
+                    throw new QLMError(QLMError.EXTRACT, 'Could not extract items from the response: ' + e.message, {
+                        url: page.url,
+                        cause: e
+                    });
+                }
+            },
+
+            // Checks the response of the given `TransportResult` of the request for the given URL with the
+            // `validateResponse` config, and makes sure items can be extracted from it as an array, which
+            // is then kept as the `items` of the result. `inspect` (if any) is called with the response
+            // and the xhr, and the response is invalid if it throws. Returns the `QLMError` describing
+            // the problem, or `null` if the response is valid.
+            validate = function(transportResult, url, inspect){
+                var response = transportResult.response,
+                    xhr = transportResult.xhr,
+                    details = {
+                        status: xhr && xhr.status,
+                        url: url
+                    },
+                    invalid = function(message){
+                        return new QLMError(QLMError.INVALID, 'Invalid response from ' + url + ': ' + message, details);
+                    },
+                    result,
+                    items;
+
+                try{
+                    result = config.validateResponse ? config.validateResponse(response, xhr) : true;
+                }catch(e){
+                    return extend(invalid(e.message), {cause: e});
+                }
+
+                if(result === false){
+                    return invalid('rejected by validateResponse.');
+                }
+
+                if(typeof result === 'string'){
+                    return invalid(result);
+                }
+
+                try{
+                    items = extract({url: url}, response);
+                }catch(error){
+                    return extend(error, details);
+                }
+
+                if(!Array.isArray(items)){
+                    return invalid('extractItems returned ' + typeOf(items) + ' instead of an array.');
+                }
+
+                // e.g. the paginator can't find the cursor of the next page in the response
+                if(inspect){
+                    try{
+                        inspect(response, xhr);
+                    }catch(e){
+                        return extend(invalid('could not paginate: ' + e.message), {cause: e});
+                    }
+                }
+
+                transportResult.items = items;
+
+                return null;
+            },
+
+            // Runs the items extracted from the response to the given page through the item pipeline,
+            // i.e. the `transformItem`, `filterItem` and `enrichItems` functions. Returns a promise
+            // resolved with the resulting items, or rejected with a `QLMError` if any of them fails.
+            processItems = function(page, items){
+                var fail = function(e){
+                        return new QLMError(QLMError.PROCESS, 'Could not process the items of the response: ' + (e && e.message || e), {
+                            url: page.url,
+                            cause: e
+                        });
+                    },
+                    result;
+
+                try{
+                    if(config.transformItem){
+                        items = items.map(function(item){
+                            return config.transformItem(item);
+                        }).filter(isDefined);
+                    }
+
+                    if(config.filterItem){
+                        items = items.filter(function(item){
+                            return config.filterItem(item);
+                        });
+                    }
+
+                    result = config.enrichItems ? config.enrichItems(items) : items;
+                }catch(e){
+                    return rejected(fail(e));
+                }
+
+                return toPromise(result).then(function(items){
+                    if(!Array.isArray(items)){
+                        return rejected(fail('enrichItems returned ' + typeOf(items) + ' instead of an array.'));
+                    }
+                    return items;
+                }, function(e){
+                    return rejected(fail(e));
+                });
+            },
+
+            // Returns the key of the given item, according to the `itemKey` config
+            keyOf = function(item){
+                return isFunction(config.itemKey) ? config.itemKey(item) : item[config.itemKey];
+            },
+
+            // Returns the given items, except those whose key has already been seen, according to the
+            // `itemKey` config.
+            dropDuplicates = function(items){
+                var itemKey = config.itemKey;
+
+                if(!itemKey){
+                    return items;
+                }
+
+                return items.filter(function(item){
+                    var key = keyOf(item);
+
+                    // items without a key can't be told apart, so they're kept
+                    if(key === null || key === undefined){
+                        return true;
+                    }
+
+                    if(key in seenKeys){
+                        return false;
+                    }
+
+                    seenKeys[key] = true;
+                    return true;
+                });
+            },
+
+            // Calls the given hook of each middleware in order with the context, waiting for those
+            // returning a promise. Returns a promise rejected with the error of the first hook that fails.
+            runHooks = function(name, context){
+                var promise = resolved();
+
+                each(middlewares.slice(), function(index, middleware){
+                    if(isFunction(middleware[name])){
+                        promise = promise.then(function(){
+                            try{
+                                return middleware[name](context);
+                            }catch(e){
+                                return rejected(e);
+                            }
+                        });
+                    }
+                });
+
+                return promise.then(null, function(e){
+                    return rejected(e instanceof QLMError ? e : new QLMError(QLMError.MIDDLEWARE, 'The ' + name + ' middleware failed: ' + (e && e.message || e), {
+                        url: context.url,
+                        cause: e
+                    }));
+                });
+            },
+
+            // Issues the given request using the transport, retrying it according to the `retry` config.
+            // `attempt` is the number of the attempt being made, starting from 1. The object returned by
+            // the transport for the current attempt is kept as `handle.request`, to be able to abort it.
+            // The request and its outcome go through the middlewares, see `use()`. `inspect` (if any)
+            // is passed to `validate()`.
+            request = function(transportRequest, attempt, handle, inspect){
+                var context = {
+                        instance: id,
+                        url: transportRequest.url,
+                        parameters: extend(true, {}, transportRequest.parameters),
+                        paginatorState: extend(true, {}, transportRequest.paginatorState),
+                        headers: {},
+                        attempt: attempt,
+                        time: new Date().getTime()
+                    },
+                    aborted = false;
+
+                // the request may be aborted while the middlewares run
+                handle.request = {
+                    abort: function(){
+                        aborted = true;
+                    }
+                };
+
+                return runHooks('beforeRequest', context).then(function(){
+
+                    if(aborted){
+                        return rejected(new QLMError(QLMError.ABORTED, 'The request was aborted.'));
+                    }
+
+                    // parameters changed by the middlewares apply to the URL, unless they changed the
+                    // URL itself, or it's provided by the paginator
+                    if(context.url === transportRequest.url && context.url === getURL(transportRequest.parameters, transportRequest.paginatorState)){
+                        context.url = getURL(context.parameters, context.paginatorState);
+                    }
+
+                    return send({
+                        url: context.url,
+                        parameters: context.parameters,
+                        paginatorState: context.paginatorState,
+                        headers: context.headers
+                    }, handle);
+
+                }).then(function(result){
+                    context.response = result.response;
+                    context.xhr = result.xhr;
+                    context.duration = new Date().getTime() - context.time;
+
+                    return runHooks('afterResponse', context);
+
+                }).then(function(){
+
+                    // invalid responses are handled like failed requests, before anything is changed
+                    var result = new TransportResult(context.response, context.xhr),
+                        error = validate(result, context.url, inspect);
+
+                    return error ? rejected(error) : result;
+
+                }).then(null, function(error){
+
+                    if(error.kind === QLMError.ABORTED){
+                        return rejected(error);
+                    }
+
+                    // the middlewares may recover, by retrying right away or by clearing the error
+                    context.error = error;
+                    context.retry = false;
+
+                    return runHooks('onError', context).then(function(){
+                        if(context.retry){
+                            return request(transportRequest, attempt + 1, handle, inspect);
+                        }
+
+                        // the response provided is validated like any other
+                        if(!context.error){
+                            var result = new TransportResult(context.response, context.xhr),
+                                error = validate(result, context.url, inspect);
+
+                            return error ? rejected(error) : resolved(result);
+                        }
+
+                        return retryAfterError(context.error, transportRequest, attempt, handle, inspect);
+                    });
+                });
+            },
+
+            // Reissues the request that failed with the given error after a delay, if the `retry`
+            // config allows it. Returns a promise rejected with the error otherwise.
+            retryAfterError = function(error, transportRequest, attempt, handle, inspect){
+                var retry = config.retry;
+
+                error.attempts = attempt;
+
+                if(attempt >= retry.attempts || !isRetryable(error)){
+                    return rejected(error);
+                }
+
+                return wait(retry.delay * Math.pow(2, attempt - 1) + Math.random() * retry.jitter, handle).then(function(){
+                    return request(transportRequest, attempt + 1, handle, inspect);
+                });
+            },
+
+            // Sends the given request with the transport. Returns a promise resolved with a
+            // `TransportResult`, or rejected with a `QLMError`.
+            send = function(transportRequest, handle){
+                var url = transportRequest.url,
+                    settled = defer(),
+                    transportPromise;
+
+                handle.request = transport(transportRequest);
+                transportPromise = handle.request && isFunction(handle.request.then) ? handle.request : resolved(handle.request);
+
+                // jQuery promises pass the response, the status text and the jqXHR to callbacks, like
+                // `$.ajax` does, while native ones pass a single value, possibly a `TransportResult`
+                transportPromise.then(function(response, textStatus, xhr){
+                    settled.resolve(response instanceof TransportResult ? response : new TransportResult(response, xhr));
+
+                }, function(error, textStatus){
+
+                    // custom transports may return the result of `$.ajax` as is, or fail in other ways
+                    if(!(error instanceof QLMError)){
+                        if(error && isFunction(error.getResponseHeader)){
+                            error = createRequestError(error, textStatus, url);
+                        }else{
+                            error = new QLMError(QLMError.NETWORK, 'Request to ' + url + ' failed: ' + error, {
+                                status: 0,
+                                url: url,
+                                cause: error
+                            });
+                        }
+                    }
+
+                    settled.reject(error);
+                });
+
+                return settled.promise;
+            },
+
+            // Returns a promise resolved after the given number of milliseconds. While waiting,
+            // `handle.request` is replaced with an object which can abort the wait.
+            wait = function(milliseconds, handle){
+                var result = defer(),
+                    timeout = setTimeout(result.resolve, milliseconds);
+
+                handle.request = {
+                    abort: function(){
+                        clearTimeout(timeout);
+                        result.reject(new QLMError(QLMError.ABORTED, 'The request was aborted.'));
+                    }
+                };
+
+                return result.promise;
+            },
+
+            // Returns whether the request that failed with the given error may succeed if reissued,
+            // according to the `retry` config.
+            isRetryable = function(error){
+                if(error.kind === QLMError.INVALID){
+                    return config.retry.invalidResponses;
+                }
+
+                return (error.kind === QLMError.NETWORK || error.kind === QLMError.HTTP) &&
+                    config.retry.statuses.indexOf(error.status) !== -1;
+            },
+
+            // Discards the local cache and the pagination state, so that the next `get()` starts
+            // from the beginning using the current query parameters. Any ongoing request is ignored.
+            reset = function(){
+                abortOngoingRequest();
+                localCache.length = 0;
+                paginator.state = extend(true, {}, initialPaginatorState);
+                serverExhausted = false;
+                prefetchError = null;
+                seenKeys = Object.create(null);
+                consumedCount = 0;
+                pageRecords = [];
+                head = null;
+                previousCache.length = 0;
+                previousState = null;
+                previousStarted = false;
+                previousExhausted = !paginator.prev;
+            },
+
+            // Removes the given number of items from the beginning of the local cache, and returns them.
+            // In retained mode, the items are kept, and the cursor is moved past them instead.
+            takeFromCache = function(numberOfItems){
+                var items;
+
+                if(config.retain.enabled){
+                    items = localCache.slice(consumedCount, consumedCount + numberOfItems);
+                    evict(consumedCount, numberOfItems);
+                }else{
+                    items = localCache.splice(0, numberOfItems);
+                }
+
+                consumedCount += items.length;
+                persist();
+
+                return items;
+            },
+
+            // Returns the number of items in the local cache that haven't been returned yet, i.e. those
+            // after the cursor in retained mode.
+            available = function(){
+
+                // the cursor may be past the items loaded so far, after `seek()`
+                return config.retain.enabled ? Math.max(localCache.length - consumedCount, 0) : localCache.length;
+            },
+
+            // Returns whether the given page record overlaps the given range of offsets
+            overlaps = function(record, offset, length){
+                return record.offset < offset + length && offset < record.offset + record.count;
+            },
+
+            // Returns whether items in the given range have been evicted from the local cache
+            hasEvicted = function(offset, length){
+                return pageRecords.filter(function(record){
+                    return record.evicted && overlaps(record, offset, length);
+                }).length > 0;
+            },
+
+            // Evicts the pages farthest from the cursor, until the number of items in the local cache
+            // is within the `retain.maxItems` config. The pages after the cursor which are needed to
+            // stay above the threshold, and those overlapping the given range, which has just been read,
+            // are kept.
+            evict = function(offset, length){
+                var maxItems = config.retain.maxItems,
+                    itemCount = 0,
+                    distance = function(record){
+                        return record.offset >= consumedCount ?
+                            record.offset - consumedCount :
+                            consumedCount - (record.offset + record.count);
+                    };
+
+                if(!maxItems){
+                    return;
+                }
+
+                each(pageRecords, function(index, record){
+                    itemCount += record.evicted ? 0 : record.count;
+                });
+
+                each(pageRecords.filter(function(record){
+                    return !record.evicted && !overlaps(record, consumedCount, threshold()) && !overlaps(record, offset, length);
+                }).sort(function(a, b){
+                    return distance(b) - distance(a);
+                }), function(index, record){
+
+                    if(itemCount <= maxItems){
+                        return false;
+                    }
+
+                    for(var i = record.offset; i < record.offset + record.count; i++){
+                        localCache[i] = null;
+                    }
+
+                    record.evicted = true;
+                    itemCount -= record.count;
+                });
+            },
+
+            // Requests the evicted pages overlapping the given range again, and puts their items back
+            // in the local cache. The pagination state and the statistics of items are left untouched.
+            fillRange = function(offset, length){
+                var generation = requestGeneration,
+                    records = pageRecords.filter(function(record){
+                        return record.evicted && overlaps(record, offset, length);
+                    });
+
+                return all(records.map(function(record){
+                    var page = requestPage(record.state);
+
+                    return page.promise.then(function(result){
+                        return processItems(page, result.items);
+                    }).then(function(items){
+
+                        if(generation !== requestGeneration){
+                            return;
+                        }
+
+                        // drop the same items as the first time
+                        if(record.kept){
+                            items = record.kept.map(function(index){
+                                return items[index];
+                            });
+                        }
+
+                        statistics.requests++;
+
+                        for(var i = 0; i < record.count; i++){
+                            localCache[record.offset + i] = items[i];
+                        }
+
+                        record.evicted = false;
+                    });
+                })).then(null, function(error){
+                    if(error.kind !== QLMError.ABORTED){
+                        triggerEvent('error', {
+                            error: error,
+                            requested: length,
+                            url: error.url || lastURL
+                        });
+                    }
+
+                    return rejected(error);
+                });
+            },
+
+            // Returns a snapshot of the state of this instance, from which `applySnapshot()` can
+            // bring it back
+            createSnapshot = function(){
+                return {
+                    time: new Date().getTime(),
+                    items: localCache.slice(),
+                    consumed: consumedCount,
+                    paginatorState: extend(true, {}, paginator.state),
+                    pages: extend(true, [], pageRecords),
+                    queryParameters: extend(true, {}, config.queryParameters),
+                    exhausted: serverExhausted,
+                    seenKeys: extend(Object.create(null), seenKeys),
+                    previousItems: previousCache.slice(),
+                    previousState: extend(true, {}, previousState),
+                    previousStarted: previousStarted,
+                    previousExhausted: previousExhausted,
+                    head: head
+                };
+            },
+
+            // Replaces the state of this instance with the given snapshot. Ongoing requests are aborted.
+            applySnapshot = function(snapshot){
+                abortOngoingRequest();
+                prefetchError = null;
+
+                localCache.length = 0;
+                Array.prototype.push.apply(localCache, snapshot.items);
+                consumedCount = snapshot.consumed;
+                pageRecords = extend(true, [], snapshot.pages || []);
+                paginator.state = extend(true, {}, snapshot.paginatorState);
+                config.queryParameters = extend(true, {}, snapshot.queryParameters);
+                serverExhausted = snapshot.exhausted;
+                seenKeys = extend(Object.create(null), snapshot.seenKeys);
+
+                previousCache.length = 0;
+                Array.prototype.push.apply(previousCache, snapshot.previousItems || []);
+                previousStarted = !!snapshot.previousStarted;
+                previousState = previousStarted ? extend(true, {}, snapshot.previousState) : null;
+                previousExhausted = previousStarted ? snapshot.previousExhausted : !paginator.prev;
+                head = isDefined(snapshot.head) ? snapshot.head : null;
+            },
+
+            // Persists a snapshot of this instance, if persistence is enabled. Returns a promise
+            // resolved when the snapshot is stored.
+            save = function(){
+                if(!storage || destroyed){
+                    return resolved();
+                }
+
+                try{
+                    return toPromise(storage.setItem(config.persistence.key, createSnapshot()));
+                }catch(e){
+                    // e.g. the storage quota is exceeded
+                    return rejected(e);
+                }
+            },
+
+            // Persists a snapshot after a change, if persistence is enabled. Failures are ignored, since
+            // the next change is persisted again.
+            persist = function(){
+                if(storage){
+                    save().then(null, function(){});
+                }
+            },
+
+            // Restores the snapshot persisted under the configured key, replacing the state of this
+            // instance. Returns a promise resolved with the snapshot, or `null` if there is no snapshot
+            // or it has expired.
+            restore = function(){
+                if(!storage){
+                    return resolved(null);
+                }
+
+                var key = config.persistence.key;
+
+                return toPromise(storage.getItem(key)).then(function(snapshot){
+
+                    if(!snapshot){
+                        return null;
+                    }
+
+                    if(snapshot.time + config.persistence.ttl < new Date().getTime()){
+                        storage.removeItem(key);
+                        return null;
+                    }
+
+                    applySnapshot(snapshot);
+
+                    return snapshot;
+                });
+            },
+
+            // Returns a snapshot of this instance, which can be sent to the browser to hydrate an
+            // instance there
+            serialize = function(){
+                return createSnapshot();
+            },
+
+            // Returns a copy of the statistics of this instance.
+            stats = function(){
+                return extend({}, statistics);
+            },
+
+            // Returns the number of items below which a background request is issued, according to
+            // the `lowItemThreshold` and `adaptive` configs.
+            threshold = function(){
+                var adaptive = config.adaptive;
+
+                if(!adaptive.enabled){
+                    return config.lowItemThreshold;
+                }
+
+                if(consumptionRate === null || requestDuration === null){
+                    return clamp(config.lowItemThreshold, adaptive.minThreshold, adaptive.maxThreshold);
+                }
+
+                return clamp(Math.ceil(consumptionRate * requestDuration * adaptive.safetyFactor), adaptive.minThreshold, adaptive.maxThreshold);
+            },
+
+            // Records a call to `get()`, measuring the consumption rate
+            recordConsumption = function(numberOfItems){
+                var now = new Date().getTime();
+
+                if(lastGetTime !== null){
+                    consumptionRate = average(consumptionRate, numberOfItems / Math.max(now - lastGetTime, 1));
+                }
+
+                lastGetTime = now;
+            },
+
+            // Returns the exponential moving average of the given measurements, according to the
+            // `smoothing` config
+            average = function(previous, measurement){
+                var smoothing = config.adaptive.smoothing;
+                return previous === null ? measurement : previous * (1 - smoothing) + measurement * smoothing;
+            },
+
+            // Restricts a number to the given bounds
+            clamp = function(value, min, max){
+                return Math.min(Math.max(value, min), max);
+            },
+
+            // Aborts the ongoing request (if any). Promises waiting for it are rejected, unless the
+            // transport can't abort requests, in which case the response is ignored.
+            abortOngoingRequest = function(){
+                var requests = [ongoingRequest, ongoingPreviousRequest];
+
+                requestGeneration++;
+                ongoingRequest = null;
+                ongoingRequestPromise = null;
+                ongoingPreviousRequest = null;
+                ongoingPreviousPromise = null;
+
+                each(requests, function(index, request){
+                    if(request && isFunction(request.abort)){
+                        request.abort();
+                    }
+                });
+            },
+
+            // Aborts the ongoing request (if any), and restores the pagination state of the first page
+            // that hasn't been handled yet, so that it's requested again next time.
+            cancel = function(){
+                var wasRequesting = !!ongoingRequest;
+
+                if(ongoingRequest || ongoingPreviousRequest){
+                    abortOngoingRequest();
+                }
+
+                if(wasRequesting){
+                    paginator.state = ongoingRequestState;
+                }
+            },
+
+            // Cancels pending requests and discards all state. The instance can't be used afterwards.
+            destroy = function(){
+                stopLiveUpdates();
+                destroyed = true;
+                reset();
+                off();
+            },
+
+            // Returns a promise rejected with the error for calls made after `destroy()`
+            rejectDestroyed = function(){
+                return rejected(new QLMError(QLMError.DESTROYED, 'QLM instance has been destroyed.'));
+            },
+
+            // Returns the number of items in the local cache, after the cursor in retained mode.
+            size = function(){
+                return available();
+            },
+
+            // Returns the first `numberOfItems` items in the local cache (after the cursor in retained
+            // mode) without removing them. All items are returned if `numberOfItems` is omitted. Items
+            // of evicted pages aren't in the local cache anymore, and are skipped.
+            peek = function(numberOfItems){
+                var start = config.retain.enabled ? consumedCount : 0;
+
+                return localCache.slice(start).filter(function(item){
+                    return item !== null;
+                }).slice(0, numberOfItems);
+            },
+
+            // Adds a middleware, given as an object with hooks or as a `beforeRequest` function. Returns
+            // a function which removes it.
+            use = function(middleware){
+                if(isFunction(middleware)){
+                    middleware = {beforeRequest: middleware};
+                }
+
+                middlewares.push(middleware);
+
+                return function(){
+                    var index = middlewares.indexOf(middleware);
+
+                    if(index !== -1){
+                        middlewares.splice(index, 1);
+                    }
+                };
+            },
+
+            // Throws unless the `itemKey` config is provided, for functions that require it
+            requireItemKey = function(name){
+                if(!config.itemKey){
+                    throw new Error(name + '() requires the itemKey config.');
+                }
+            },
+
+            // Returns the list holding the buffered item with the given key (the local cache or the
+            // backward buffer) and its index, or `null` if there is no such item
+            findItem = function(key){
+                var found = null;
+
+                each([localCache, previousCache], function(index, list){
+                    for(var i = 0; i < list.length; i++){
+
+                        // evicted items are `null`
+                        if(list[i] && String(keyOf(list[i])) === String(key)){
+                            found = {list: list, index: i};
+                            return false;
+                        }
+                    }
+                });
+
+                return found;
+            },
+
+            // Adds the given items to the beginning of the list. Items already seen are dropped.
+            prepend = function(items){
+                items = dropDuplicates(items.slice());
+
+                if(destroyed || !items.length){
+                    return;
+                }
+
+                // in retained mode, the cursor stays on the same item, unless none was returned yet
+                if(config.retain.enabled){
+                    each(pageRecords, function(index, record){
+                        record.offset += items.length;
+                    });
+
+                    if(consumedCount > 0){
+                        consumedCount += items.length;
+                    }
+
+                    Array.prototype.unshift.apply(localCache, items);
+
+                // otherwise, they'd be returned after the items returned already, so they're only
+                // buffered if none was returned yet
+                }else if(consumedCount === 0){
+                    Array.prototype.unshift.apply(localCache, items);
+                }
+
+                head = items[0];
+                persist();
+            },
+
+            // Replaces the buffered item with the given key with a copy having the properties of
+            // `patch`, or with the result of `patch` if it's a function. Returns false if there is no
+            // such item.
+            update = function(key, patch){
+                requireItemKey('update');
+
+                var found = findItem(key),
+                    item;
+
+                if(!found){
+                    return false;
+                }
+
+                item = found.list[found.index];
+                found.list[found.index] = isFunction(patch) ? patch(item) : extend({}, item, patch);
+                persist();
+
+                return true;
+            },
+
+            // Removes the buffered item with the given key. Returns false if there is no such item.
+            remove = function(key){
+                requireItemKey('remove');
+
+                var found = findItem(key),
+                    index;
+
+                if(!found){
+                    return false;
+                }
+
+                index = found.index;
+                found.list.splice(index, 1);
+
+                // in retained mode, the following items move back, and the item isn't put back when
+                // its page is requested again
+                if(found.list === localCache && config.retain.enabled){
+                    each(pageRecords, function(i, record){
+                        if(record.offset > index){
+                            record.offset--;
+                        }else if(index < record.offset + record.count){
+                            if(!record.kept){
+                                record.kept = [];
+                                for(var k = 0; k < record.count; k++){
+                                    record.kept.push(k);
+                                }
+                            }
+
+                            record.kept.splice(index - record.offset, 1);
+                            record.count--;
+                        }
+                    });
+
+                    if(index < consumedCount){
+                        consumedCount--;
+                    }
+                }
+
+                persist();
+
+                return true;
+            },
+
+            // Announces the given items, found by the live source, unless they've been seen already or
+            // the query changed since they were looked for
+            announce = function(generation, items){
+                if(!watching || generation !== requestGeneration){
+                    return;
+                }
+
+                items = items.filter(function(item){
+                    var key = config.itemKey ? keyOf(item) : null;
+                    return key === null || key === undefined || !(key in seenKeys);
+                });
+
+                if(!items.length){
+                    return;
+                }
+
+                head = items[0];
+                triggerEvent('newItemsAvailable', {
+                    count: items.length,
+                    items: items
+                });
+            },
+
+            // Reports an error of the live source, unless the query changed since
+            reportLiveError = function(generation, error, url){
+                if(watching && generation === requestGeneration && error.kind !== QLMError.ABORTED){
+                    triggerEvent('error', {
+                        error: error,
+                        requested: 0,
+                        url: error.url || url
+                    });
+                }
+            },
+
+            // Schedules the next poll
+            schedulePoll = function(){
+                if(watching && config.live.interval){
+                    liveTimer = setTimeout(poll, config.live.interval);
+                }
+            },
+
+            // Requests the items newer than the newest item known, and announces them
+            poll = function(){
+                var generation = requestGeneration,
+                    page, parameters;
+
+                liveTimer = null;
+
+                // there is nothing to compare with until the first page is loaded
+                if(head === null){
+                    schedulePoll();
+                    return;
+                }
+
+                try{
+                    parameters = extend(true, {}, config.queryParameters, config.live.parameters(head));
+                }catch(e){
+                    reportLiveError(generation, new QLMError(QLMError.PROCESS, 'Could not get the parameters of the newest item: ' + e.message, {
+                        url: config.serviceURL,
+                        cause: e
+                    }), config.serviceURL);
+                    schedulePoll();
+                    return;
+                }
+
+                page = {url: getURL(parameters)};
+
+                request({
+                    url: page.url,
+                    parameters: parameters,
+                    paginatorState: {}
+                }, 1, {}).then(function(result){
+                    return processItems(page, result.items);
+                }).then(function(items){
+                    announce(generation, items);
+                    schedulePoll();
+                }, function(error){
+                    reportLiveError(generation, error, page.url);
+                    schedulePoll();
+                });
+            },
+
+            // Announces the items carried by a message of the event source
+            receiveMessage = function(message){
+                var generation = requestGeneration,
+                    url = typeof config.live.eventSource === 'string' ? config.live.eventSource : null,
+                    items;
+
+                try{
+                    items = config.live.parseMessage(message.data);
+                }catch(e){
+                    reportLiveError(generation, new QLMError(QLMError.EXTRACT, 'Could not extract items from the message: ' + e.message, {
+                        url: url,
+                        cause: e
+                    }), url);
+                    return;
+                }
+
+                processItems({url: url}, items).then(function(items){
+                    announce(generation, items);
+                }, function(error){
+                    reportLiveError(generation, error, url);
+                });
+            },
+
+            // Starts looking for new items, according to the `live` config
+            startLiveUpdates = function(){
+                var live = config.live;
+
+                if(!live.interval && !live.eventSource){
+                    throw new Error('startLiveUpdates() requires the live.interval or live.eventSource config.');
+                }
+
+                if(watching || destroyed){
+                    return;
+                }
+
+                watching = true;
+                schedulePoll();
+
+                if(live.eventSource){
+                    liveSource = typeof live.eventSource === 'string' ? new EventSource(live.eventSource) : live.eventSource;
+                    liveSource.addEventListener('message', receiveMessage);
+                }
+            },
+
+            // Stops looking for new items
+            stopLiveUpdates = function(){
+                watching = false;
+                clearTimeout(liveTimer);
+                liveTimer = null;
 
-            //  ### Item exhaustion detection
+                if(liveSource){
+                    liveSource.removeEventListener('message', receiveMessage);
 
-            // To know when to stop querying the server, a means of determining whether there are no more
-            // items to return from the server should be provided. This function, given a server response,
-            // should return a boolean indicating whether the server ran out of items.
+                    // event sources provided as objects are left open, since they may be shared
+                    if(typeof config.live.eventSource === 'string'){
+                        liveSource.close();
+                    }
 
-            // A default implementation is provided here.
-            isServerExhausted: function(response){
-                return response.exhausted;
+                    liveSource = null;
+                }
             },
 
-            // ### Item extraction
+            // Throws unless retained mode is enabled, for functions that require it
+            requireRetained = function(name){
+                if(!config.retain.enabled){
+                    throw new Error(name + '() is only available in retained mode.');
+                }
+            },
 
-            // To populate the local cache, QLM needs a means of extracting items from the response. This
-            // function, given a server response, should return an array of items.
+            // Returns the offset of the next item `get()` returns, in retained mode.
+            getCursor = function(){
+                requireRetained('getCursor');
+                return consumedCount;
+            },
 
-            // A default implementation is provided here.
-            extractItems: function(response){
-                return response.items;
-            }
+            // Moves the cursor to the given offset, in retained mode, so that the next `get()` returns
+            // items from there.
+            seek = function(offset){
+                requireRetained('seek');
+                consumedCount = Math.max(offset, 0);
+                persist();
+            },
 
-        };
+            // Returns a promise resolved with the items in the given range of offsets, in retained mode,
+            // loading the pages needed. The cursor isn't moved.
+            getRange = function(offset, length){
+                requireRetained('getRange');
 
+                if(destroyed){
+                    return rejectDestroyed();
+                }
 
-        // Augment the default configuration using user-supplied values, overriding when possible
-        $.extend(true, config, customConfig);
-        
+                // wait for the ongoing request (if any), like `get()` does
+                if(ongoingRequestPromise){
+                    var getAgain = function(){
+                        return getRange(offset, length);
+                    };
+                    return ongoingRequestPromise.then(getAgain, getAgain);
+                }
 
-        // The item storage
-        var localCache = [],
+                offset = Math.max(offset, 0);
 
-            // shortcuts to the functions in the config
-            paginator = config.paginator,
-            isServerExhausted = config.isServerExhausted,
-            extractItems = config.extractItems,
+                var end = offset + length,
+                    chainer = createPromiseChainer({
+                        predicate: function(){
+                            return localCache.length < end && !serverExhausted;
+                        },
+                        promiseFn: function(){
+                            return populateLocalCache(pagesNeeded(end - localCache.length));
+                        }
+                    });
 
-            // The promise object of the ongoing server request (if any)
-            ongoingRequestPromise = null,
+                return chainer().then(function(){
+                    return fillRange(offset, length);
+                }).then(function(){
+                    var items = localCache.slice(offset, end);
+                    evict(offset, length);
+                    return items;
+                });
+            },
 
-            // Issues a GET request to the server, to populate the local cache.
-            populateLocalCache = function(){
-                ongoingRequestPromise = $.ajax({
-                    url: getURL(config.queryParameters, paginator.state),
-                    type: "GET"
-                }).then(function(response){
-                    ongoingRequestPromise = null;
-                    
-                    // extract items from the response
-                    var items = extractItems(response);
-                    
-                    // append the items to the local cache
-                    Array.prototype.push.apply(localCache, items);
-                    
-                    // move the pagination state forward
-                    paginator.state = paginator.next(paginator.state);
+            // Returns whether the server ran out of items, in the given direction: `'next'` (the
+            // default) or `'previous'`.
+            isExhausted = function(direction){
+                return direction === 'previous' ? previousExhausted : serverExhausted;
+            },
 
-                    // trigger the exhaustion event if necessary
-                    if(isServerExhausted(response)){
-                        triggerEvent('exhausted');
-                    }
+            // Allows requests to be issued again after the server ran out of items in the given
+            // direction, continuing from the current pagination state. Useful when new items are
+            // known to have been added.
+            rearm = function(direction){
+                if(direction !== 'previous'){
+                    serverExhausted = false;
+                }else if(previousStarted && previousState){
+                    previousExhausted = false;
+                }
+            },
 
-                    // return retrieved items count
-                    return items.length;
+            // Sets the query parameter with the given name and invalidates the local cache.
+            setParameter = function(name, value){
+                config.queryParameters[name] = value;
+                reset();
+            },
 
-                }, function(error){
-                    ongoingRequestPromise = null;
-                    return error;
-                });
-                return ongoingRequestPromise;
+            // Sets several query parameters at once, given as `name: value` pairs, and invalidates the
+            // local cache.
+            setParameters = function(parameters){
+                extend(config.queryParameters, parameters);
+                reset();
+            },
+
+            // Removes the query parameter with the given name and invalidates the local cache.
+            removeParameter = function(name){
+                delete config.queryParameters[name];
+                reset();
             },
 
             // Constructs an URL from the current state, i.e. query parameters and the pagination state.
             // For each `state`, query parameters in the form of`key=value` will be generated from
-            // `key: value` pairs in the `state` objects.
+            // `key: value` pairs in the `state` objects, according to the `serializeQuery` config.
+            // The query string is merged with the one `serviceURL` may already have.
             getURL = function(parameters, paginatorState){
 
-                // this array will hold all the query parameters in the `key=value` form
-                var queryParameters = [];
-                
-                // For both parameters and paginationState
-                $.each(arguments, function(index, argument){
+                // For both parameters and paginationState, the latter taking precedence
+                var merged = {};
+                each(arguments, function(index, argument){
+                    extend(merged, argument);
+                });
 
-                    // For each key in the state object
-                    $.each(argument, function(parameterName, value){
+                var query = isFunction(config.serializeQuery) ?
+                        config.serializeQuery(merged) :
+                        serializeQuery(merged, config.serializeQuery),
 
-                        var queryParameter = '';
+                    // keep the fragment (if any) at the end
+                    hashIndex = config.serviceURL.indexOf('#'),
+                    url = hashIndex === -1 ? config.serviceURL : config.serviceURL.slice(0, hashIndex),
+                    hash = hashIndex === -1 ? '' : config.serviceURL.slice(hashIndex);
 
-                        // When serializing an array of form `a = [1,2,3]`, the format `a=1&a=2&a=3` is used
-                        if($.isArray(value)){
-                            queryParameter = $.map(value, function(v){ return parameterName + '=' + v; }).join('&');
-                        }else{
-                            queryParameter = parameterName + '=' + value;
-                        }
+                if(url.indexOf('?') === -1){
+                    url += '?';
+                }else if(query && !/[?&]$/.test(url)){
+                    url += '&';
+                }
 
-                        queryParameters.push(queryParameter);
-                    });
-                });
+                return url + query + hash;
+            },
+
+            // Returns the number of pages to request at once to add the given number of items to the
+            // local cache, according to the `concurrency` config.
+            pagesNeeded = function(numberOfItems){
+                var pageSize = config.concurrency > 1 && paginator.pageSize && paginator.pageSize(paginator.state);
+
+                if(!pageSize){
+                    return 1;
+                }
 
-                return config.serviceURL + '?' + queryParameters.join('&');
+                return clamp(Math.ceil(numberOfItems / pageSize), 1, config.concurrency);
             },
 
             // Returns an array containing the specified number of items. The size of the returned
             // list may be less than `numberOfItems` if not enough items exist.
             get = function(numberOfItems){
 
-                // If a background request is already being made to the server, reuse the promise, and attach the callback to its chain
+                if(destroyed){
+                    return rejectDestroyed();
+                }
+
+                recordConsumption(numberOfItems);
+
+                return takeItems(numberOfItems);
+            },
+
+            // Does the work of `get()`, apart from measuring consumption, so that it can be repeated
+            // after a background request finishes.
+            takeItems = function(numberOfItems){
+                var generation = requestGeneration,
+
+                    // Calls the given function, unless the query changed or requests were cancelled
+                    // since this call was made. Items of the new query are never returned to it, even
+                    // if the transport can't abort requests.
+                    unlessStale = function(fn){
+                        return function(){
+                            if(generation !== requestGeneration){
+                                return rejected(new QLMError(QLMError.ABORTED, 'The request was aborted.'));
+                            }
+
+                            return fn.apply(this, arguments);
+                        };
+                    };
+
+                if(destroyed){
+                    return rejectDestroyed();
+                }
+
+                // If a background request is already being made to the server, reuse the promise, and attach the callback to its chain.
+                // If it fails, the failure is handled like any other background failure below.
                 if (ongoingRequestPromise) {
-                    return ongoingRequestPromise.then(function () {
-                        return get(numberOfItems);
+                    var getAgain = unlessStale(function(){
+                        return takeItems(numberOfItems);
                     });
+                    return ongoingRequestPromise.then(getAgain, getAgain);
+                }
+
+                // If the last background request failed in a way that would recur if retried, and the
+                // local cache can't satisfy this call, reject. Otherwise the request is issued again below.
+                if (prefetchError) {
+                    var error = prefetchError;
+                    prefetchError = null;
+
+                    if(available() < numberOfItems && !serverExhausted && !isRetryable(error)){
+                        triggerEvent('error', {
+                            error: error,
+                            requested: numberOfItems,
+                            url: error.url
+                        });
+                        return rejected(error);
+                    }
                 }
     
-                // if the number of items in the local cache is insufficent 
-                if(localCache.length < numberOfItems){
+                // In retained mode, evicted pages the items to return belong to are requested again first
+                if(config.retain.enabled && hasEvicted(consumedCount, numberOfItems)){
+                    return fillRange(consumedCount, numberOfItems).then(unlessStale(function(){
+                        return takeItems(numberOfItems);
+                    }));
+                }
+
+                // if the number of items in the local cache is insufficent, and the server may still have more
+                if(available() < numberOfItems && !serverExhausted){
 
                     // create a chainer, to check if we have enough items after a server response, and
                     // reissue a request if more items are needed.
-                    var chainer = createPromiseChainer({
-                        predicate: function(){
-                            return localCache.length < numberOfItems;
-                        },
-                        promiseFn: populateLocalCache
-                    });
+                    var populate = unlessStale(function(){
+                            return populateLocalCache(pagesNeeded(numberOfItems - available()));
+                        }),
+                        chainer = createPromiseChainer({
+                            predicate: function(){
+                                return available() < numberOfItems && !serverExhausted;
+                            },
+                            promiseFn: populate
+                        });
+
+                    var startTime = new Date().getTime();
 
                     // trigger the load started event.
-                    triggerEvent('loadStarted');
+                    triggerEvent('loadStarted', {requested: numberOfItems});
 
                     // populate the local cache, issuing a request to the server, and return
                     // the promise to allow attaching of then() calls
-                    return populateLocalCache().then(function(){
+                    return populate().then(function(){
                         // get more items if needed
                         return chainer();
-                    }).then(function(retrievedItemCount){
+                    }).then(unlessStale(function(){
+                        return resolved();
+                    })).then(function(){
                         // get and remove items from the local cache, starting from the beginning 
-                        var items = localCache.splice(0, numberOfItems);
+                        var items = takeFromCache(numberOfItems);
 
                         // trigger the load finished event
-                        triggerEvent('loadFinished');
+                        triggerEvent('loadFinished', {
+                            requested: numberOfItems,
+                            items: items,
+                            url: lastURL,
+                            duration: new Date().getTime() - startTime
+                        });
 
                         return items;
                     }, function(error){
-                        triggerEvent('loadFinished');
-                        triggerEvent('error');
+                        triggerEvent('loadFinished', {
+                            requested: numberOfItems,
+                            items: [],
+                            url: lastURL,
+                            duration: new Date().getTime() - startTime
+                        });
+
+                        // aborted requests were cancelled on purpose, and aren't reported as errors
+                        if(error.kind !== QLMError.ABORTED){
+                            triggerEvent('error', {
+                                error: error,
+                                requested: numberOfItems,
+                                url: error.url || lastURL
+                            });
+                        }
+
+                        return rejected(error);
                     });
 
                 }
 
-                // if we have enough items in the local cache 
-                var result = new $.Deferred(),
+                // if we have enough items in the local cache, or the server has no more items to give
+                var result = defer(),
 
                 // get and remove items from the local cache, starting from the beginning 
-                    items = localCache.splice(0, numberOfItems);
+                    items = takeFromCache(numberOfItems);
 
                 // attach the items to the deferred and resolve it 
                 result.resolve(items);
                     
                 // if we're running low on items, issue a background request
-                if(localCache.length < config.lowItemThreshold){
-                    ongoingRequestPromise = populateLocalCache();
+                if(available() < threshold() && !serverExhausted){
+                    populateLocalCache().then(null, function(error){
+                        if(error.kind !== QLMError.ABORTED && error.kind !== QLMError.DESTROYED){
+                            prefetchError = error;
+                        }
+                    });
                 }
 
-                return result;
+                return result.promise;
+            },
+
+            // Returns an array containing the specified number of items preceding those returned so far,
+            // in list order. The size of the returned list may be less than `numberOfItems` if not enough
+            // items exist.
+            getPrevious = function(numberOfItems){
+
+                if(destroyed){
+                    return rejectDestroyed();
+                }
+
+                // reuse the ongoing request, like `get()` does
+                if(ongoingPreviousPromise){
+                    var getAgain = function(){
+                        return getPrevious(numberOfItems);
+                    };
+                    return ongoingPreviousPromise.then(getAgain, getAgain);
+                }
+
+                if(!previousStarted && !previousExhausted){
+                    startPrevious(paginator.prev(extend(true, {}, initialPaginatorState)));
+                }
+
+                // whether a request can be issued for previous items
+                var canLoad = function(){
+                    return previousStarted && !previousExhausted;
+                };
+
+                if(previousCache.length < numberOfItems && canLoad()){
+
+                    var chainer = createPromiseChainer({
+                            predicate: function(){
+                                return previousCache.length < numberOfItems && canLoad();
+                            },
+                            promiseFn: populatePreviousCache
+                        }),
+                        startTime = new Date().getTime();
+
+                    triggerEvent('loadStarted', {requested: numberOfItems, direction: 'previous'});
+
+                    return populatePreviousCache().then(function(){
+                        return chainer();
+                    }).then(function(){
+                        var items = previousCache.splice(Math.max(previousCache.length - numberOfItems, 0));
+
+                        triggerEvent('loadFinished', {
+                            requested: numberOfItems,
+                            items: items,
+                            url: lastURL,
+                            duration: new Date().getTime() - startTime,
+                            direction: 'previous'
+                        });
+
+                        persist();
+
+                        return items;
+                    }, function(error){
+                        triggerEvent('loadFinished', {
+                            requested: numberOfItems,
+                            items: [],
+                            url: lastURL,
+                            duration: new Date().getTime() - startTime,
+                            direction: 'previous'
+                        });
+
+                        if(error.kind !== QLMError.ABORTED){
+                            triggerEvent('error', {
+                                error: error,
+                                requested: numberOfItems,
+                                url: error.url || lastURL,
+                                direction: 'previous'
+                            });
+                        }
+
+                        return rejected(error);
+                    });
+                }
+
+                // take the items right before those returned so far, i.e. from the end of the buffer
+                var items = previousCache.splice(Math.max(previousCache.length - numberOfItems, 0));
+
+                persist();
+
+                // if we're running low on items, issue a background request. If it fails, the next call
+                // issues it again in the foreground, and reports the error.
+                if(previousCache.length < config.lowPreviousItemThreshold && canLoad()){
+                    populatePreviousCache().then(null, function(){});
+                }
+
+                return resolved(items);
+            },
+
+            // Returns an async iterator over the items, taking them one by one with `get()`
+            iterate = function(){
+                return createAsyncIterator(function(){
+                    return get(1).then(function(items){
+                        return items.length ? items[0] : DONE;
+                    });
+                });
+            },
+
+            // Returns an async iterator over the pages of the current query, from the first one.
+            // Pages are requested one at a time, without going through the local cache.
+            pages = function(){
+                var generation = requestGeneration,
+                    state = extend(true, {}, initialPaginatorState);
+
+                return createAsyncIterator(function(){
+                    if(destroyed){
+                        return rejectDestroyed();
+                    }
+
+                    if(!state){
+                        return resolved(DONE);
+                    }
+
+                    var page = requestPage(state);
+
+                    return page.promise.then(function(result){
+                        var response = result.response,
+                            items = result.items;
+
+                        if(generation !== requestGeneration){
+                            return rejected(new QLMError(QLMError.ABORTED, 'The query changed while iterating over pages.', {
+                                url: page.url
+                            }));
+                        }
+
+                        state = page.outcome.exhausted || items.length === 0 ? null : page.outcome.next;
+
+                        if(items.length === 0){
+                            return DONE;
+                        }
+
+                        return {
+                            items: items,
+                            response: response,
+                            url: page.url,
+                            state: page.state
+                        };
+                    });
+                });
+            },
+
+            // Returns a promise resolved with all the remaining items, or up to `options.limit` of
+            // them, taking them with `get()` in batches of `options.batchSize`
+            toArray = function(options){
+                options = extend({limit: Infinity, batchSize: 100}, options);
+
+                var result = [],
+                    next = function(){
+                        var count = Math.min(options.limit - result.length, options.batchSize);
+
+                        if(count <= 0){
+                            return resolved(result);
+                        }
+
+                        return get(count).then(function(items){
+                            Array.prototype.push.apply(result, items);
+
+                            // fewer items than requested means there are none left
+                            return items.length < count ? result : next();
+                        });
+                    };
+
+                return next();
             },
 
-            // trigger an event with the given name
-            triggerEvent = function(event){
-                var eventName = config.event.namespace + '.' + config.event.names[event];
-                $(document).trigger(eventName);
+            // trigger an event with the given name, passing a payload made of `data` (if any), the
+            // event type and the instance id to the handlers
+            triggerEvent = function(event, data){
+                if(destroyed){
+                    return;
+                }
+
+                var payload = extend({type: event, instance: id}, data);
+
+                // copy the handlers, as `once()` handlers remove themselves while being called
+                each((listeners[event] || []).slice(), function(index, handler){
+                    handler(payload);
+                });
+
+                if(config.event.target){
+                    environment.trigger(config.event.target, config.event.namespace + '.' + config.event.names[event], payload);
+                }
+            },
+
+            // Attaches a handler to the given event of this instance.
+            on = function(event, handler){
+                (listeners[event] = listeners[event] || []).push(handler);
+            },
+
+            // Detaches a handler from the given event. If no handler is given, all handlers of the event
+            // are detached, and if no event is given, all handlers are.
+            off = function(event, handler){
+                if(!event){
+                    listeners = {};
+                }else if(!handler){
+                    delete listeners[event];
+                }else{
+                    listeners[event] = (listeners[event] || []).filter(function(h){
+                        return h !== handler && h.handler !== handler;
+                    });
+                }
+            },
+
+            // Attaches a handler which is detached after being called once.
+            once = function(event, handler){
+                var wrapper = function(payload){
+                    off(event, wrapper);
+                    handler(payload);
+                };
+
+                // allow `off()` to detach the handler before it's called
+                wrapper.handler = handler;
+                on(event, wrapper);
             },
 
             // TODO: extract this to its own module
@@ -275,24 +3627,329 @@ var QLM = (function($){
                         var promise =  options.promiseFn();
                         return promise.then(chainer);
                     }else{
-                        var result =  new $.Deferred();
-                        result.resolve();
-                        return result;
+                        return resolved();
                     }
                 };
             };
 
+        // start from the snapshot taken on the server, if any
+        if(config.snapshot){
+            applySnapshot(config.snapshot);
+        }
+
         // ## Public API
-        return {
+        var api = {
 
             // ### get(number): Promise(Object[])
 
             // Returns a promise which resolves with a list of objects. The number of
             // objects returned is less than (if there is not enough items on the server)
-            // or equal to (in the normal case) the input parameter.
+            // or equal to (in the normal case) the input parameter. If the items can't be
+            // loaded, the promise is rejected with a `QLMError`.
             get: get,
+
+            // ### getPrevious(number): Promise(Object[])
+
+            // Like `get()`, but returns the items preceding those returned so far, e.g. older messages
+            // when the list starts in the middle. Items are returned in list order, so the last item
+            // returned is the one right before the items returned by previous calls. Previous items
+            // are kept in a buffer of their own, refilled when it falls below `lowPreviousItemThreshold`.
+            // Requires a paginator with a `prev` function.
+            getPrevious: getPrevious,
+
+            // ### iterate(): AsyncIterator
+
+            // Returns an async iterator over the items, which takes them one by one with `get()`, so
+            // that the local cache is refilled as usual. The iteration ends when there are no items
+            // left, and fails if they can't be loaded.
+            iterate: iterate,
+
+            // ### pages(): AsyncIterator
+
+            // Returns an async iterator over the pages of the current query, starting from the first
+            // one. Each value holds the `items` extracted from the page before the item pipeline, the
+            // `response`, the `url` and the paginator `state` of the page. Pages are requested one at a
+            // time, independently of `get()` and the local cache, e.g. for exports. The iteration fails
+            // if the query changes in the meantime.
+            pages: pages,
+
+            // ### toArray(options): Promise(Object[])
+
+            // Returns a promise which resolves with all the remaining items, or with up to `limit` of
+            // them, taken with `get()` in batches of `batchSize` (100 by default).
+            toArray: toArray,
+
+            // ### getRange(offset, length): Promise(Object[])
+
+            // Returns a promise which resolves with the items in the given range of offsets, requesting
+            // the pages needed, without moving the cursor. Only available in retained mode.
+            getRange: getRange,
+
+            // ### getCursor(): Number
+
+            // Returns the offset of the next item `get()` returns. Only available in retained mode.
+            getCursor: getCursor,
+
+            // ### seek(offset)
+
+            // Moves the cursor to the given offset, so that the next `get()` returns items from there.
+            // Only available in retained mode.
+            seek: seek,
+
+            // ### id: String
+
+            // The id of this instance, as passed with every event.
+            id: id,
+
+            // ### on(event, handler)
+
+            // Attaches a handler to an event of this instance, i.e. `loadStarted`, `loadFinished`, `error`
+            // or `exhausted`. The handler receives the payload of the event.
+            on: on,
+
+            // ### off(event, handler)
+
+            // Detaches a handler. Omit the handler to detach all handlers of an event, or both arguments
+            // to detach all handlers.
+            off: off,
+
+            // ### once(event, handler)
+
+            // Attaches a handler which is detached after it's called for the first time.
+            once: once,
+
+            // ### size(): Number
+
+            // Returns the number of items in the local cache, i.e. the number of items that can be
+            // returned without waiting for the server.
+            size: size,
+
+            // ### peek(number): Object[]
+
+            // Returns up to the given number of items from the local cache, without consuming them.
+            peek: peek,
+
+            // ### stats(): Object
+
+            // Returns the number of `requests` that succeeded, the number of `items` added to the local
+            // cache, and the number of `duplicates` dropped since the instance was created.
+            stats: stats,
+
+            // ### threshold(): Number
+
+            // Returns the number of items below which a background request is issued. In adaptive
+            // mode, it changes over time.
+            threshold: threshold,
+
+            // ### save(): Promise
+
+            // Persists a snapshot of this instance. This is done automatically whenever items are
+            // loaded or returned, so it's rarely needed.
+            save: save,
+
+            // ### restore(): Promise(Object)
+
+            // Restores the persisted snapshot, so that items are returned from where the previous
+            // instance left off, without requests. The promise resolves with the snapshot, whose
+            // `consumed` property is the number of items returned before it was taken, or with `null`
+            // if there is no snapshot to restore.
+            restore: restore,
+
+            // ### serialize(): Object
+
+            // Returns a snapshot of this instance: the local cache, the number of items consumed, the
+            // paginator state and the query parameters. It can be serialized as JSON as long as the
+            // items can, e.g. to render the first page on the server and pass the snapshot to
+            // `QLM.hydrate()` in the browser. Pages being loaded aren't included.
+            serialize: serialize,
+
+            // ### use(middleware): Function
+
+            // Adds a middleware, which hooks into every request: page requests, requests for evicted
+            // pages and live update polls. Middlewares are objects with any of the hooks below, called
+            // in the order the middlewares were added, with a context object. Hooks may return a
+            // promise to be waited for, and fail the request by throwing or returning a rejected
+            // promise. A function is taken as a `beforeRequest` hook. Returns a function which removes
+            // the middleware.
+            //
+            // The context holds the `instance` id, the `url`, the query `parameters`, the
+            // `paginatorState`, the `headers` to send, the `attempt` number and the `time` the attempt
+            // started at. A new context is created for each attempt.
+            //
+            // - `beforeRequest(ctx)` can change the `url`, `parameters`, `paginatorState` and `headers`,
+            //   e.g. to add an authentication header or an A/B testing flag. Changes to the parameters
+            //   and the paginator state apply to the URL, unless it's changed too or provided by the
+            //   paginator.
+            // - `afterResponse(ctx)` is called with the `response`, the `xhr` and the `duration` of the
+            //   request in milliseconds, before the response is validated. It can replace the
+            //   `response`, e.g. to unwrap an envelope.
+            // - `onError(ctx)` is called with the `error` (a `QLMError`) when the request fails, before
+            //   it's retried according to the `retry` config. It can set `ctx.retry` to true to issue
+            //   the request again right away, e.g. after refreshing an authentication token (check
+            //   `ctx.attempt` to avoid retrying forever), or set `ctx.error` to `null` to recover with
+            //   `ctx.response`.
+            use: use,
+
+            // ### prepend(items)
+
+            // Adds items to the beginning of the list, e.g. those announced by `newItemsAvailable`.
+            // Items whose key has been seen already are dropped, see `itemKey`. The next `get()`
+            // returns them first, unless items have been returned already, as they'd be out of order:
+            // they're then left for the caller to show, and can be read with `getRange()` in retained
+            // mode, where the cursor stays on the same item. Their keys are marked as seen either way.
+            prepend: prepend,
+
+            // ### update(key, patch): Boolean
+
+            // Replaces the buffered item with the given key (see `itemKey`) with a copy having the
+            // properties of `patch`, or with the result of `patch(item)` if it's a function, e.g. to
+            // apply an edit made on the server. Returns false if the item isn't buffered. Evicted
+            // items are requested again as they are on the server.
+            update: update,
+
+            // ### remove(key): Boolean
+
+            // Removes the buffered item with the given key (see `itemKey`), e.g. one deleted on the
+            // server. Returns false if the item isn't buffered.
+            remove: remove,
+
+            // ### startLiveUpdates()
+
+            // Starts looking for new items, according to the `live` config.
+            startLiveUpdates: startLiveUpdates,
+
+            // ### stopLiveUpdates()
+
+            // Stops looking for new items. This is done automatically by `destroy()`.
+            stopLiveUpdates: stopLiveUpdates,
+
+            // ### reset()
+
+            // Clears the local cache and restores the initial pagination state. Ongoing requests
+            // are ignored.
+            reset: reset,
+
+            // ### cancel()
+
+            // Aborts the ongoing request (if any), including background requests. The pagination
+            // state is rolled back, so the aborted page is requested again on the next `get()`.
+            cancel: cancel,
+
+            // ### destroy()
+
+            // Cancels pending requests, clears the local cache and detaches all handlers. No events are
+            // triggered afterwards, and any further call to `get()` returns a rejected promise.
+            destroy: destroy,
+
+            // ### setParameter(name, value)
+
+            // Sets a query parameter. The local cache is discarded and pagination starts over,
+            // so items from the previous query are never returned.
+            setParameter: setParameter,
+
+            // ### setParameters(Object)
+
+            // Sets several query parameters at once. Behaves like `setParameter`.
+            setParameters: setParameters,
+
+            // ### removeParameter(name)
+
+            // Removes a query parameter. Behaves like `setParameter`.
+            removeParameter: removeParameter,
+
+            // ### isExhausted(direction): Boolean
+
+            // Returns true if the server ran out of items. No requests are issued in this state, and
+            // `get()` returns whatever is left in the local cache. Pass `'previous'` to know whether
+            // there are no items before the earliest page loaded, for `getPrevious()`.
+            isExhausted: isExhausted,
+
+            // ### rearm(direction)
+
+            // Leaves the exhausted state, so that the server is queried again on the next `get()`,
+            // or the next `getPrevious()` if `'previous'` is passed. Changing a query parameter does
+            // this automatically.
+            rearm: rearm,
+
             __getURL: getURL,
             __localCache: localCache
         };
+
+        // ### [Symbol.asyncIterator](): AsyncIterator
+
+        // Same as `iterate()`, so that instances can be consumed with `for await (var item of qlm)`
+        // where async iteration is supported.
+        if(typeof Symbol === 'function' && Symbol.asyncIterator){
+            api[Symbol.asyncIterator] = iterate;
+        }
+
+        return api;
+    };
+
+    // ## Static API
+
+    // ### QLM.hydrate(config, snapshot): QLM
+
+    // Creates an instance starting from a snapshot taken with `serialize()`, typically on the server.
+    // Items loaded on the server are returned without requests, and pagination continues from where
+    // the server left off.
+    QLM.hydrate = function(config, snapshot){
+        return new QLM(extend({}, config, {snapshot: snapshot}));
+    };
+
+    // ### QLM.merge(sources, options)
+
+    // See the Merging section above.
+    QLM.merge = merge;
+
+    // ### QLM.bindInfiniteScroll(qlm, options) and QLM.bindLoadMoreButton(button, qlm, options)
+
+    // The DOM bindings, see the DOM bindings section above.
+    QLM.bindInfiniteScroll = bindInfiniteScroll;
+    QLM.bindLoadMoreButton = bindLoadMoreButton;
+
+    // ### QLM.Error
+
+    // The constructor of the errors QLM rejects with, holding the error kind constants.
+    QLM.Error = QLMError;
+
+    // ### QLM.transports
+
+    // The built-in transport factories, see the Transports section above.
+    QLM.transports = {
+        ajax: ajaxTransport,
+        fetch: fetchTransport,
+        result: function(response, xhr){
+            return new TransportResult(response, xhr);
+        }
+    };
+
+    // ### QLM.adapters
+
+    // The adapters, see the Adapters section above.
+    QLM.adapters = {
+        jquery: jQueryAdapter,
+        native: nativeAdapter
+    };
+
+    // ### QLM.storage
+
+    // The built-in storage adapters, see the Storage adapters section above.
+    QLM.storage = {
+        memory: memoryStorage,
+        session: sessionStorageAdapter,
+        indexedDB: indexedDBStorage
     };
-})(jQuery);
\ No newline at end of file
+
+    // ### QLM.paginators
+
+    // The built-in paginator factories, see the Paginators section above.
+    QLM.paginators = {
+        offset: offsetPaginator,
+        page: pagePaginator,
+        cursor: cursorPaginator,
+        linkHeader: linkHeaderPaginator
+    };
+
+    return QLM;
+});
\ No newline at end of file
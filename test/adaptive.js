@@ -0,0 +1,150 @@
+describe('QLM adaptive prefetching', function() {
+
+  var serviceURL = '/api/v1/products.json',
+      requests;
+
+  // responds after 500 milliseconds of (mocked) time
+  function transport(request){
+    var result = $.Deferred(),
+        items = [];
+
+    requests.push(request);
+
+    for(var i = 0; i < request.paginatorState.count; i++){
+      items.push({index: request.paginatorState.start + i});
+    }
+
+    setTimeout(function(){
+      result.resolve({items: items});
+    }, 500);
+
+    return result.promise();
+  }
+
+  function createQLM(adaptive){
+    return new QLM({
+      serviceURL: serviceURL,
+      lowItemThreshold: 20,
+      transport: transport,
+      paginator: {
+        state: {
+          count: 50
+        }
+      },
+      adaptive: $.extend({
+        enabled: true,
+        minThreshold: 5,
+        maxThreshold: 100,
+        safetyFactor: 1,
+        smoothing: 1
+      }, adaptive)
+    });
+  }
+
+  // gets items every 100 milliseconds, after the first request finishes
+  function consumeQuickly(qlm){
+    qlm.get(10);
+    jasmine.clock().tick(500);
+    jasmine.clock().tick(100);
+    qlm.get(10);
+    jasmine.clock().tick(100);
+    qlm.get(10);
+  }
+
+  beforeEach(function(){
+    requests = [];
+    jasmine.clock().install();
+    jasmine.clock().mockDate();
+  });
+
+  afterEach(function(){
+    jasmine.clock().uninstall();
+  });
+
+  it('uses lowItemThreshold until consumption has been measured', function(){
+
+    var qlm = createQLM();
+
+    expect(qlm.threshold()).toBe(20);
+
+  });
+
+  it('raises the threshold for fast consumers', function(){
+
+    var qlm = createQLM();
+
+    consumeQuickly(qlm);
+
+    // 10 items per 100ms, during a 500ms request
+    expect(qlm.threshold()).toBe(50);
+
+    // 20 items left, which is below the threshold
+    expect(requests.length).toBe(2);
+
+  });
+
+  it('lowers the threshold for slow consumers, within bounds', function(){
+
+    var qlm = createQLM();
+
+    qlm.get(10);
+    jasmine.clock().tick(500);
+    jasmine.clock().tick(10000);
+    qlm.get(1);
+
+    expect(qlm.threshold()).toBe(5);
+    expect(requests.length).toBe(1);
+
+  });
+
+  it('keeps lowItemThreshold when disabled', function(){
+
+    var qlm = createQLM({enabled: false});
+
+    consumeQuickly(qlm);
+
+    expect(qlm.threshold()).toBe(20);
+    expect(requests.length).toBe(1);
+
+  });
+
+  it('sizes pages according to the threshold', function(){
+
+    var qlm = createQLM({
+      countName: 'count',
+      minCount: 10,
+      maxCount: 80
+    });
+
+    consumeQuickly(qlm);
+    jasmine.clock().tick(400);
+
+    // lowItemThreshold, then 10 items per 600ms and 10 items per 100ms during a 500ms request
+    expect(requests[0].paginatorState.count).toBe(20);
+    expect(requests[1].paginatorState.count).toBe(10);
+    expect(requests[2].paginatorState.count).toBe(50);
+
+  });
+
+  it('only sizes pages of paginators locating them by item offset', function(){
+
+    var create = function(paginator, countName){
+      return function(){
+        return new QLM({
+          serviceURL: serviceURL,
+          paginator: paginator,
+          adaptive: {
+            enabled: true,
+            countName: countName
+          }
+        });
+      };
+    };
+
+    expect(create(QLM.paginators.page({size: 20}), 'per_page')).toThrow();
+    expect(create(QLM.paginators.cursor('next'), 'limit')).toThrow();
+    expect(create(QLM.paginators.offset({limit: 20}), 'limit')).not.toThrow();
+
+  });
+
+});
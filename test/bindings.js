@@ -0,0 +1,326 @@
+describe('QLM DOM bindings', function() {
+
+  var serviceURL = '/api/v1/products.json';
+
+  // creates an instance over a list of the given number of items
+  function createQLM(total, transport){
+    return new QLM({
+      serviceURL: serviceURL,
+      lowItemThreshold: 0,
+      paginator: QLM.paginators.offset({limit: 10}),
+      transport: transport || createTransport({total: total})
+    });
+  }
+
+  function failingTransport(){
+    return $.Deferred().reject(new QLM.Error(QLM.Error.HTTP, 'Server error', {status: 500})).promise();
+  }
+
+  var sentinel, button;
+
+  beforeEach(function(){
+    sentinel = document.createElement('div');
+    button = document.createElement('button');
+    button.textContent = 'Load more';
+    document.body.appendChild(sentinel);
+    document.body.appendChild(button);
+  });
+
+  afterEach(function(){
+    document.body.removeChild(sentinel);
+    document.body.removeChild(button);
+  });
+
+  describe('infinite scroll', function(){
+
+    it('keeps loading while the sentinel is visible, and hides it when there are no items left', function(){
+
+      var rendered = [];
+
+      QLM.bindInfiniteScroll(createQLM(25), {
+        sentinel: sentinel,
+        batchSize: 10,
+        render: function(items){
+          rendered.push(items.length);
+        }
+      });
+
+      expect(rendered).toEqual([10, 10, 5]);
+      expect(sentinel.hidden).toBe(true);
+
+    });
+
+    describe('with IntersectionObserver', function(){
+
+      var observers;
+
+      function FakeObserver(callback, options){
+        this.callback = callback;
+        this.options = options;
+        this.observed = [];
+        observers.push(this);
+      }
+
+      FakeObserver.prototype.observe = function(element){
+        this.observed.push(element);
+      };
+
+      FakeObserver.prototype.unobserve = function(element){
+        this.observed.splice(this.observed.indexOf(element), 1);
+      };
+
+      FakeObserver.prototype.disconnect = function(){
+        this.observed = [];
+      };
+
+      FakeObserver.prototype.report = function(isIntersecting){
+        this.callback([{target: this.observed[0], isIntersecting: isIntersecting}]);
+      };
+
+      beforeEach(function(){
+        observers = [];
+        window.IntersectionObserver = FakeObserver;
+      });
+
+      afterEach(function(){
+        delete window.IntersectionObserver;
+      });
+
+      it('loads when the sentinel intersects the root', function(){
+
+        var root = document.createElement('div'),
+            rendered = [];
+
+        QLM.bindInfiniteScroll(createQLM(100), {
+          sentinel: sentinel,
+          root: root,
+          rootMargin: '200px',
+          batchSize: 10,
+          render: function(items){
+            rendered.push(items[0].id);
+          }
+        });
+
+        var observer = observers[0];
+
+        expect(observer.options).toEqual({root: root, rootMargin: '200px'});
+        expect(observer.observed).toEqual([sentinel]);
+
+        observer.report(false);
+        expect(rendered).toEqual([]);
+
+        observer.report(true);
+        expect(rendered).toEqual([0]);
+        expect(observer.observed).toEqual([sentinel]);
+
+        observer.report(true);
+        expect(rendered).toEqual([0, 10]);
+
+      });
+
+      it('stops loading after an error until retried', function(){
+
+        var errors = [],
+            failing = true,
+            serve = createTransport(),
+            rendered = [];
+
+        var binding = QLM.bindInfiniteScroll(createQLM(100, function(request){
+          return failing ? failingTransport() : serve(request);
+        }), {
+          sentinel: sentinel,
+          batchSize: 10,
+          render: function(items){
+            rendered.push(items.length);
+          },
+          onError: function(error){
+            errors.push(error.status);
+          }
+        });
+
+        observers[0].report(true);
+        observers[0].report(true);
+
+        expect(errors).toEqual([500]);
+        expect(rendered).toEqual([]);
+
+        failing = false;
+        binding.retry();
+
+        expect(rendered).toEqual([10]);
+
+      });
+
+      it('stops observing when destroyed', function(){
+
+        var binding = QLM.bindInfiniteScroll(createQLM(100), {
+          sentinel: sentinel
+        });
+
+        binding.destroy();
+
+        expect(observers[0].observed).toEqual([]);
+
+      });
+
+    });
+
+  });
+
+  describe('load more button', function(){
+
+    it('loads and renders items on click', function(){
+
+      var rendered = [];
+
+      QLM.bindLoadMoreButton(button, createQLM(100), {
+        batchSize: 5,
+        render: function(items){
+          rendered.push(items[0].id);
+        }
+      });
+
+      button.click();
+      button.click();
+
+      expect(rendered).toEqual([0, 5]);
+
+    });
+
+    it('is disabled while items are being loaded', function(){
+
+      var response = $.Deferred();
+
+      QLM.bindLoadMoreButton(button, createQLM(100, function(){
+        return response.promise();
+      }));
+
+      button.click();
+
+      expect(button.disabled).toBe(true);
+      expect(button.classList.contains('qlm-loading')).toBe(true);
+
+      response.resolve({items: items(0, 10)});
+
+      expect(button.disabled).toBe(false);
+      expect(button.classList.contains('qlm-loading')).toBe(false);
+
+    });
+
+    describe('without jQuery', function(){
+
+      beforeEach(function(){
+        QLM.adapters.native();
+      });
+
+      afterEach(function(){
+        QLM.adapters.jquery($);
+      });
+
+      it('is disabled until the items of a click are returned, even if none are requested', function(done){
+
+        var rendered = [],
+            qlm = createQLM(100, function(request){
+              return Promise.resolve({items: items(request.paginatorState.offset, 10)});
+            });
+
+        qlm.get(5).then(function(){
+
+          QLM.bindLoadMoreButton(button, qlm, {
+            batchSize: 2,
+            render: function(items){
+              rendered.push(items[0].id);
+            }
+          });
+
+          button.click();
+
+          expect(button.disabled).toBe(true);
+
+          button.click();
+          button.click();
+
+          return new Promise(function(resolve){
+            setTimeout(resolve, 0);
+          });
+
+        }).then(function(){
+
+          expect(rendered).toEqual([5]);
+          expect(button.disabled).toBe(false);
+
+        }).then(done, done.fail);
+
+      });
+
+    });
+
+    it('is hidden when there are no items left', function(){
+
+      QLM.bindLoadMoreButton(button, createQLM(15), {
+        batchSize: 10
+      });
+
+      button.click();
+      expect(button.hidden).toBe(false);
+
+      button.click();
+      expect(button.hidden).toBe(true);
+
+    });
+
+    it('turns into a retry button after an error', function(){
+
+      var failing = true,
+          serve = createTransport(),
+          errors = [],
+          rendered = [];
+
+      QLM.bindLoadMoreButton(button, createQLM(100, function(request){
+        return failing ? failingTransport() : serve(request);
+      }), {
+        batchSize: 10,
+        render: function(items){
+          rendered.push(items.length);
+        },
+        onError: function(error){
+          errors.push(error.status);
+        }
+      });
+
+      button.click();
+
+      expect(errors).toEqual([500]);
+      expect(button.textContent).toBe('Retry');
+      expect(button.classList.contains('qlm-error')).toBe(true);
+      expect(button.disabled).toBe(false);
+
+      failing = false;
+      button.click();
+
+      expect(rendered).toEqual([10]);
+      expect(button.textContent).toBe('Load more');
+      expect(button.classList.contains('qlm-error')).toBe(false);
+
+    });
+
+    it('detaches when destroyed', function(){
+
+      var rendered = [];
+
+      var binding = QLM.bindLoadMoreButton(button, createQLM(100), {
+        render: function(items){
+          rendered.push(items);
+        }
+      });
+
+      binding.destroy();
+      button.click();
+
+      expect(rendered).toEqual([]);
+
+    });
+
+  });
+
+});
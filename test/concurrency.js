@@ -0,0 +1,156 @@
+describe('QLM concurrent requests', function() {
+
+  var serviceURL = '/api/v1/products.json',
+      pending;
+
+  // keeps the requests pending, until the test responds to them
+  function transport(request){
+    var result = $.Deferred();
+
+    pending.push({
+      request: request,
+      respond: function(){
+        var items = [];
+        for(var i = 0; i < request.paginatorState.count; i++){
+          items.push({index: request.paginatorState.start + i});
+        }
+        result.resolve({items: items});
+      },
+      fail: function(){
+        result.reject(new QLM.Error(QLM.Error.HTTP, 'Internal Server Error', {status: 500}));
+      }
+    });
+
+    return result.promise();
+  }
+
+  function createQLM(config){
+    return new QLM($.extend({
+      serviceURL: serviceURL,
+      lowItemThreshold: 0,
+      concurrency: 3,
+      transport: transport,
+      paginator: {
+        state: {
+          count: 10
+        }
+      }
+    }, config));
+  }
+
+  function indexes(items){
+    return items.map(function(item){ return item.index; });
+  }
+
+  beforeEach(function(){
+    pending = [];
+  });
+
+  it('requests several pages at once, and delivers items in page order', function(done){
+
+    var qlm = createQLM();
+
+    qlm.get(25).then(function(items){
+
+      expect(items.length).toBe(25);
+      expect(indexes(items)).toEqual(indexes(items).slice().sort(function(a, b){ return a - b; }));
+      expect(items[24].index).toBe(24);
+      expect(qlm.size()).toBe(5);
+
+    }).always(done);
+
+    expect(pending.map(function(p){ return p.request.paginatorState.start; })).toEqual([0, 10, 20]);
+
+    // respond out of order
+    pending[2].respond();
+    pending[0].respond();
+    pending[1].respond();
+
+  });
+
+  it('does not request more pages than needed', function(){
+
+    createQLM().get(15);
+
+    expect(pending.length).toBe(2);
+
+  });
+
+  it('does not exceed the configured concurrency', function(){
+
+    createQLM().get(100);
+
+    expect(pending.length).toBe(3);
+
+  });
+
+  it('requests pages one at a time with paginators that need the response', function(){
+
+    createQLM({
+      paginator: QLM.paginators.cursor('next')
+    }).get(100);
+
+    expect(pending.length).toBe(1);
+
+  });
+
+  it('does not call next() without a response on custom paginators', function(done){
+
+    var requests = [];
+
+    var qlm = createQLM({
+      concurrency: 1,
+      paginator: {
+        state: {cursor: 'first'},
+        next: function(state, response){
+          return response.meta.next ? {cursor: response.meta.next} : null;
+        }
+      },
+      transport: function(request){
+        requests.push(request.paginatorState.cursor);
+        return $.Deferred().resolve(request.paginatorState.cursor === 'first' ?
+          {items: [{index: 0}, {index: 1}], meta: {next: 'second'}} :
+          {items: [{index: 2}], meta: {next: null}}).promise();
+      }
+    });
+
+    qlm.get(5).then(function(items){
+
+      expect(indexes(items)).toEqual([0, 1, 2]);
+      expect(requests).toEqual(['first', 'second']);
+
+    }).always(done);
+
+  });
+
+  it('keeps the items of the pages before a failed one', function(done){
+
+    var qlm = createQLM();
+
+    qlm.get(30).then(function(){
+
+      fail('get() should reject');
+
+    }, function(){
+
+      expect(indexes(qlm.peek())).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+
+      return qlm.get(11);
+
+    }).then(function(items){
+
+      // the failed page is requested again
+      expect(pending[3].request.paginatorState.start).toBe(10);
+      expect(items[10].index).toBe(10);
+
+    }).always(done);
+
+    pending[0].respond();
+    pending[2].respond();
+    pending[1].fail();
+
+    pending[3].respond();
+
+  });
+
+});
@@ -0,0 +1,105 @@
+describe('QLM item deduplication', function() {
+
+  var serviceURL = '/api/v1/products.json';
+
+  // serves items with consecutive ids, as if two items were inserted at the top of the list
+  // after the first page was served
+  function transport(request){
+    var start = request.paginatorState.start;
+
+    return $.Deferred().resolve({items: items(start === 0 ? 1 : start - 1, request.paginatorState.count)}).promise();
+  }
+
+  function createQLM(itemKey){
+    return new QLM({
+      serviceURL: serviceURL,
+      lowItemThreshold: 0,
+      itemKey: itemKey,
+      paginator: {
+        state: {
+          count: 5
+        }
+      },
+      transport: transport
+    });
+  }
+
+  it('drops duplicates, and keeps fetching until enough items are available', function(done){
+
+    var qlm = createQLM('id');
+
+    qlm.get(9).then(function(items){
+
+      expect(ids(items)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+      expect(qlm.stats()).toEqual({
+        requests: 3,
+        items: 13,
+        duplicates: 2
+      });
+
+    }).always(done);
+
+  });
+
+  it('accepts a function as the item key', function(done){
+
+    var qlm = createQLM(function(item){
+      return 'product-' + item.id;
+    });
+
+    qlm.get(9).then(function(items){
+
+      expect(ids(items)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+      expect(qlm.stats().duplicates).toBe(2);
+
+    }).always(done);
+
+  });
+
+  it('accepts keys named like object properties', function(done){
+
+    var names = {4: 'hasOwnProperty', 5: '__proto__'},
+        qlm = createQLM(function(item){
+          return names[item.id] || item.id;
+        });
+
+    qlm.get(9).then(function(items){
+
+      expect(ids(items)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+      expect(qlm.stats().duplicates).toBe(2);
+
+    }).then(null, fail).always(done);
+
+  });
+
+  it('keeps duplicates when no item key is configured', function(done){
+
+    var qlm = createQLM();
+
+    qlm.get(9).then(function(items){
+
+      expect(ids(items)).toEqual([1, 2, 3, 4, 5, 4, 5, 6, 7]);
+      expect(qlm.stats().duplicates).toBe(0);
+
+    }).always(done);
+
+  });
+
+  it('forgets seen keys when the query changes', function(done){
+
+    var qlm = createQLM('id');
+
+    qlm.get(5).then(function(){
+
+      qlm.setParameter('search', 'chess');
+      return qlm.get(5);
+
+    }).then(function(items){
+
+      expect(ids(items)).toEqual([1, 2, 3, 4, 5]);
+
+    }).always(done);
+
+  });
+
+});
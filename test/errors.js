@@ -0,0 +1,212 @@
+describe('QLM error handling', function() {
+
+  var serviceURL = '/api/v1/products.json';
+
+  function items(count){
+    var result = [];
+    for(var i = 0; i < count; i++){
+      result.push({title: 'title ' + (i + 1)});
+    }
+    return result;
+  }
+
+  function createQLM(config){
+    return new QLM($.extend({
+      serviceURL: serviceURL,
+      paginator: {
+        state: {
+          count: 10
+        }
+      }
+    }, config));
+  }
+
+  beforeEach(function(){
+    $.mockjax.clear();
+  });
+
+  afterEach(function(){
+    $.mockjax.clear();
+    $(document).off('.errors');
+  });
+
+  it('rejects with an http error, and passes the same error to the error event', function(done){
+
+    var eventError;
+
+    $.mockjax({
+      url: /start=/,
+      status: 404,
+      responseText: 'Not Found'
+    });
+
+    $(document).on('qlm.error.errors', function(event, payload){
+      eventError = payload.error;
+    });
+
+    createQLM().get(5).then(function(){
+
+      fail('get() should reject');
+
+    }, function(error){
+
+      expect(error instanceof QLM.Error).toBe(true);
+      expect(error instanceof Error).toBe(true);
+      expect(error.kind).toBe(QLM.Error.HTTP);
+      expect(error.status).toBe(404);
+      expect(eventError).toBe(error);
+
+    }).always(done);
+
+  });
+
+  it('rejects with a parse error on malformed responses', function(done){
+
+    $.mockjax({
+      url: /start=/,
+      contentType: 'application/json',
+      responseText: '{"items": ['
+    });
+
+    createQLM().get(5).then(function(){
+
+      fail('get() should reject');
+
+    }, function(error){
+
+      expect(error.kind).toBe(QLM.Error.PARSE);
+
+    }).always(done);
+
+  });
+
+  it('rejects with an extract error if items cannot be extracted', function(done){
+
+    var qlm = createQLM({
+      extractItems: function(response){
+        return response.data.items;
+      }
+    });
+
+    $.mockjax({
+      url: /start=/,
+      responseText: {
+        items: items(10)
+      }
+    });
+
+    qlm.get(5).then(function(){
+
+      fail('get() should reject');
+
+    }, function(error){
+
+      expect(error.kind).toBe(QLM.Error.EXTRACT);
+      expect(qlm.size()).toBe(0);
+      expect(qlm.__localCache.length).toBe(0);
+
+    }).always(done);
+
+  });
+
+  it('rejects the next get() if a background request failed with a lasting error', function(done){
+
+    var qlm = createQLM({
+      lowItemThreshold: 5
+    });
+
+    $.mockjax({
+      url: /start=0&/,
+      responseText: {
+        items: items(10)
+      }
+    });
+
+    $.mockjax({
+      url: /start=10&/,
+      status: 404,
+      responseText: 'Not Found'
+    });
+
+    qlm.get(1).then(function(){
+
+      // leaves 4 items in the local cache, and issues a background request
+      return qlm.get(5);
+
+    }).then(function(){
+
+      // wait for the background request to fail
+      return $.Deferred(function(deferred){ setTimeout(deferred.resolve, 50); });
+
+    }).then(function(){
+
+      return qlm.get(5);
+
+    }).then(function(){
+
+      fail('get() should reject');
+
+    }, function(error){
+
+      expect(error.kind).toBe(QLM.Error.HTTP);
+      expect(error.status).toBe(404);
+
+    }).always(done);
+
+  });
+
+  it('retries on the next get() if a background request failed with a transient error', function(done){
+
+    var qlm = createQLM({
+          lowItemThreshold: 5
+        }),
+        failed = false;
+
+    $.mockjax({
+      url: /start=0&/,
+      responseText: {
+        items: items(10)
+      }
+    });
+
+    $.mockjax({
+      url: /start=10&/,
+      response: function(){
+        if(!failed){
+          failed = true;
+          this.status = 503;
+          this.responseText = 'Service Unavailable';
+        }else{
+          this.status = 200;
+          this.responseText = {
+            items: items(10)
+          };
+        }
+      }
+    });
+
+    qlm.get(1).then(function(){
+
+      return qlm.get(5);
+
+    }).then(function(){
+
+      return $.Deferred(function(deferred){ setTimeout(deferred.resolve, 50); });
+
+    }).then(function(){
+
+      return qlm.get(5);
+
+    }).then(function(items){
+
+      expect(items.length).toBe(5);
+
+    }, function(){
+
+      fail('get() should retry the failed request');
+
+    }).always(done);
+
+  });
+
+});
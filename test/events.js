@@ -0,0 +1,167 @@
+describe('QLM events', function() {
+
+  var serviceURL = '/api/v1/products.json';
+
+  function transport(){
+    var items = [];
+    for(var i = 0; i < 10; i++){
+      items.push({index: i});
+    }
+    return $.Deferred().resolve({items: items}).promise();
+  }
+
+  function createQLM(config){
+    return new QLM($.extend({
+      serviceURL: serviceURL,
+      lowItemThreshold: 0,
+      transport: transport,
+      paginator: {
+        state: {
+          count: 10
+        }
+      }
+    }, config));
+  }
+
+  afterEach(function(){
+    $(document).off('.events');
+  });
+
+  it('assigns a unique id to each instance', function(){
+
+    expect(createQLM().id).not.toBe(createQLM().id);
+    expect(createQLM({id: 'grid'}).id).toBe('grid');
+
+  });
+
+  it('emits events on the instance with payloads', function(done){
+
+    var qlm = createQLM(),
+        started, finished;
+
+    qlm.on('loadStarted', function(payload){
+      started = payload;
+    });
+
+    qlm.on('loadFinished', function(payload){
+      finished = payload;
+    });
+
+    qlm.get(4).then(function(){
+
+      expect(started).toEqual({type: 'loadStarted', instance: qlm.id, requested: 4});
+      expect(finished.type).toBe('loadFinished');
+      expect(finished.instance).toBe(qlm.id);
+      expect(finished.requested).toBe(4);
+      expect(finished.items.length).toBe(4);
+      expect(finished.url).toBe(serviceURL + '?start=0&count=10');
+      expect(finished.duration).toEqual(jasmine.any(Number));
+
+    }).always(done);
+
+  });
+
+  it('only emits events to the handlers of the same instance', function(done){
+
+    var first = createQLM(),
+        second = createQLM(),
+        calls = 0;
+
+    second.on('loadStarted', function(){
+      calls++;
+    });
+
+    first.get(1).then(function(){
+
+      expect(calls).toBe(0);
+
+    }).always(done);
+
+  });
+
+  it('detaches handlers with off and once', function(done){
+
+    var qlm = createQLM(),
+        calls = {on: 0, once: 0, off: 0},
+        handler = function(){ calls.off++; };
+
+    qlm.on('loadStarted', function(){ calls.on++; });
+    qlm.once('loadStarted', function(){ calls.once++; });
+    qlm.on('loadStarted', handler);
+    qlm.off('loadStarted', handler);
+
+    qlm.get(10).then(function(){
+
+      return qlm.get(10);
+
+    }).then(function(){
+
+      expect(calls).toEqual({on: 2, once: 1, off: 0});
+
+      qlm.off();
+      return qlm.get(10);
+
+    }).then(function(){
+
+      expect(calls.on).toBe(2);
+
+    }).always(done);
+
+  });
+
+  it('bridges events to the configured target element', function(done){
+
+    var target = $('<div>'),
+        qlm = createQLM({
+          event: {
+            target: target[0],
+            namespace: 'grid'
+          }
+        }),
+        payload, documentCalls = 0;
+
+    target.on('grid.loadStarted', function(event, data){
+      payload = data;
+    });
+
+    $(document).on('qlm.loadStarted.events', function(){
+      documentCalls++;
+    });
+
+    qlm.get(1).then(function(){
+
+      expect(payload.instance).toBe(qlm.id);
+      expect(payload.requested).toBe(1);
+      expect(documentCalls).toBe(0);
+
+    }).always(done);
+
+  });
+
+  it('does not trigger DOM events when no target is configured', function(done){
+
+    var qlm = createQLM({
+          event: {
+            target: null
+          }
+        }),
+        documentCalls = 0, instanceCalls = 0;
+
+    qlm.on('loadStarted', function(){
+      instanceCalls++;
+    });
+
+    $(document).on('qlm.loadStarted.events', function(){
+      documentCalls++;
+    });
+
+    qlm.get(1).then(function(){
+
+      expect(instanceCalls).toBe(1);
+      expect(documentCalls).toBe(0);
+
+    }).always(done);
+
+  });
+
+});
@@ -277,6 +277,68 @@ it('issues sequential requests if returned item count is less than the item defi
   }).always(done);
 });
 
+it('stops issuing requests once the server is exhausted', function(done){
+
+  $.mockjax.clear();
+  setupMockjax(30);
+
+  qlm.get(40).then(function(items){
+
+    expect(items.length).toBe(30);
+    expect(qlm.isExhausted()).toBe(true);
+    expect(jQuery.ajax.calls.count()).toBe(1);
+
+  }).then(function(){
+
+    return qlm.get(5);
+
+  }).then(function(items){
+
+    expect(items.length).toBe(0);
+    expect(jQuery.ajax.calls.count()).toBe(1);
+
+  }).always(done);
+});
+
+it('treats an empty page as exhaustion', function(done){
+
+  $.mockjax.clear();
+  $.mockjax({
+    url: /start=/,
+    responseText: {
+      exhausted: false,
+      items: []
+    }
+  });
+
+  qlm.get(10).then(function(items){
+
+    expect(items.length).toBe(0);
+    expect(qlm.isExhausted()).toBe(true);
+    expect(jQuery.ajax.calls.count()).toBe(1);
+
+  }).always(done);
+});
+
+it('queries the server again after being rearmed', function(done){
+
+  $.mockjax.clear();
+  setupMockjax(30);
+
+  qlm.get(40).then(function(){
+
+    qlm.rearm();
+    expect(qlm.isExhausted()).toBe(false);
+
+    return qlm.get(5);
+
+  }).then(function(){
+
+    expect(jQuery.ajax.calls.count()).toBe(2);
+
+  }).always(done);
+});
+
 
 function setupMockjax(itemCount){
 
@@ -0,0 +1,57 @@
+// Helpers shared by the specs, loaded before them (see karma.conf.js)
+
+// Returns `count` items whose ids count up from `from`, held by the `key` property (`id` by default)
+function items(from, count, key){
+  var result = [];
+  for(var i = from; i < from + count; i++){
+    var item = {};
+    item[key || 'id'] = i;
+    result.push(item);
+  }
+  return result;
+}
+
+// Returns the ids of the given items
+function ids(items){
+  return items.map(function(item){ return item.id; });
+}
+
+// Creates a transport serving a list of items, see `items()`, whose ids are their offsets. Pages are
+// located by the `start` and `count` of the default paginator, or the `offset` and `limit` of
+// `QLM.paginators.offset()`. Options:
+//
+// - `total`: the number of items in the list, unlimited by default. Responses then tell whether the
+//   list is exhausted, unless `exhausted` is `false`: the list then ends with an empty page.
+// - `key`: the property holding the ids of the items
+// - `responses`: responses to serve first, in order, e.g. invalid ones
+// - `requests`: an array to record the requests in, mapped with the `record` function if given
+function createTransport(options){
+  options = options || {};
+
+  return function(request){
+    var state = request.paginatorState,
+        start = 'start' in state ? state.start : state.offset,
+        end = start + ('count' in state ? state.count : state.limit),
+        response;
+
+    if(options.total !== undefined){
+      end = Math.max(Math.min(end, options.total), start);
+    }
+
+    if(options.requests){
+      options.requests.push(options.record ? options.record(request) : request);
+    }
+
+    if(options.responses && options.responses.length){
+      response = options.responses.shift();
+    }else{
+      response = {items: items(start, end - start, options.key)};
+
+      if(options.total !== undefined && options.exhausted !== false){
+        response.exhausted = end === options.total;
+      }
+    }
+
+    return $.Deferred().resolve(response).promise();
+  };
+}
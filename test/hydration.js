@@ -0,0 +1,115 @@
+describe('QLM hydration', function() {
+
+  var serviceURL = 'https://example.com/api/v1/products.json';
+
+  function createConfig(requests){
+    return {
+      serviceURL: serviceURL,
+      lowItemThreshold: 0,
+      queryParameters: {
+        search: 'chess'
+      },
+      paginator: QLM.paginators.offset({limit: 10}),
+      transport: createTransport({
+        requests: requests,
+        record: function(request){
+          return request.url;
+        }
+      })
+    };
+  }
+
+  it('serializes the state of an instance as JSON', function(done){
+
+    var qlm = new QLM(createConfig([]));
+
+    qlm.get(4).then(function(){
+
+      var snapshot = JSON.parse(JSON.stringify(qlm.serialize()));
+
+      expect(snapshot.items.length).toBe(6);
+      expect(snapshot.items[0].id).toBe(4);
+      expect(snapshot.consumed).toBe(4);
+      expect(snapshot.paginatorState).toEqual({offset: 10, limit: 10});
+      expect(snapshot.queryParameters).toEqual({search: 'chess'});
+
+    }).always(done);
+
+  });
+
+  it('starts from the snapshot without loading the same items again', function(done){
+
+    var serverRequests = [],
+        clientRequests = [],
+        server = new QLM(createConfig(serverRequests)),
+        client;
+
+    server.get(4).then(function(){
+
+      client = QLM.hydrate(createConfig(clientRequests), JSON.parse(JSON.stringify(server.serialize())));
+
+      expect(client.size()).toBe(6);
+
+      return client.get(8);
+
+    }).then(function(items){
+
+      expect(items[0].id).toBe(4);
+      expect(items[7].id).toBe(11);
+      expect(serverRequests).toEqual([serviceURL + '?search=chess&offset=0&limit=10']);
+      expect(clientRequests).toEqual([serviceURL + '?search=chess&offset=10&limit=10']);
+
+    }).always(done);
+
+  });
+
+  it('does not share the snapshot with the hydrated instance', function(done){
+
+    var snapshot,
+        server = new QLM(createConfig([]));
+
+    server.get(4).then(function(){
+
+      snapshot = server.serialize();
+
+      return QLM.hydrate(createConfig([]), snapshot).get(8);
+
+    }).then(function(){
+
+      expect(snapshot.items.length).toBe(6);
+      expect(snapshot.paginatorState).toEqual({offset: 10, limit: 10});
+
+    }).always(done);
+
+  });
+
+  it('issues requests with the fetch implementation provided', function(done){
+
+    var urls = [];
+
+    var qlm = new QLM({
+      serviceURL: serviceURL,
+      transport: QLM.transports.fetch({
+        fetch: function(url){
+          urls.push(url);
+          return $.Deferred().resolve({
+            ok: true,
+            status: 200,
+            json: function(){
+              return $.Deferred().resolve({items: items(0, 10)}).promise();
+            }
+          }).promise();
+        }
+      })
+    });
+
+    qlm.get(5).then(function(items){
+
+      expect(items.length).toBe(5);
+      expect(urls).toEqual([serviceURL + '?start=0&count=50']);
+
+    }).always(done);
+
+  });
+
+});
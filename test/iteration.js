@@ -0,0 +1,199 @@
+describe('QLM iteration', function() {
+
+  var serviceURL = '/api/v1/products.json';
+
+  // creates an instance over a list of the given number of items, recording the requested URLs
+  function createQLM(total, requests, config){
+    return new QLM($.extend({
+      serviceURL: serviceURL,
+      lowItemThreshold: 0,
+      paginator: QLM.paginators.offset({limit: 10}),
+      transport: createTransport({
+        total: total,
+        exhausted: false,
+        requests: requests,
+        record: function(request){
+          return request.url;
+        }
+      })
+    }, config));
+  }
+
+  // collects the values of an async iterator
+  function collect(iterator){
+    var values = [];
+
+    function next(){
+      return iterator.next().then(function(result){
+        if(result.done){
+          return values;
+        }
+        values.push(result.value);
+        return next();
+      });
+    }
+
+    return next();
+  }
+
+  it('iterates over the items until there are none left', function(done){
+
+    var requests = [];
+
+    collect(createQLM(25, requests).iterate()).then(function(values){
+
+      expect(values.length).toBe(25);
+      expect(values[24].id).toBe(24);
+
+      // the last, empty page ends the iteration
+      expect(requests.length).toBe(4);
+
+    }).always(done);
+
+  });
+
+  it('continues from the items returned by get()', function(done){
+
+    var qlm = createQLM(15, []);
+
+    qlm.get(5).then(function(){
+      return collect(qlm.iterate());
+    }).then(function(values){
+
+      expect(values.length).toBe(10);
+      expect(values[0].id).toBe(5);
+
+    }).always(done);
+
+  });
+
+  it('is async iterable where supported', function(){
+
+    if(typeof Symbol !== 'function' || !Symbol.asyncIterator){
+      return;
+    }
+
+    var qlm = createQLM(15, []);
+
+    expect(typeof qlm[Symbol.asyncIterator]().next).toBe('function');
+
+  });
+
+  it('stops when returned from', function(done){
+
+    var requests = [],
+        iterator = createQLM(100, requests).iterate();
+
+    iterator.next().then(function(result){
+
+      expect(result.value.id).toBe(0);
+
+      return iterator['return']();
+
+    }).then(function(result){
+
+      expect(result.done).toBe(true);
+
+      return iterator.next();
+
+    }).then(function(result){
+
+      expect(result.done).toBe(true);
+      expect(requests.length).toBe(1);
+
+    }).always(done);
+
+  });
+
+  it('fails when items cannot be loaded', function(done){
+
+    var qlm = new QLM({
+      serviceURL: serviceURL,
+      transport: function(){
+        return $.Deferred().reject(new QLM.Error(QLM.Error.HTTP, 'Server error', {status: 500})).promise();
+      }
+    });
+
+    qlm.iterate().next().then(function(){
+      fail('The iteration should have failed');
+    }, function(error){
+      expect(error.status).toBe(500);
+    }).always(done);
+
+  });
+
+  it('iterates over the pages, independently of get()', function(done){
+
+    var requests = [],
+        qlm = createQLM(25, requests);
+
+    qlm.get(15).then(function(){
+      return collect(qlm.pages());
+    }).then(function(pages){
+
+      expect(pages.length).toBe(3);
+      expect(pages[0].items[0].id).toBe(0);
+      expect(pages[2].items.length).toBe(5);
+      expect(pages[2].response.items.length).toBe(5);
+      expect(pages[2].url).toBe(serviceURL + '?offset=20&limit=10');
+      expect(pages[2].state).toEqual({offset: 20, limit: 10});
+      expect(qlm.size()).toBe(5);
+
+    }).always(done);
+
+  });
+
+  it('fails to iterate over pages when the query changes', function(done){
+
+    var qlm = createQLM(100, []),
+        iterator = qlm.pages();
+
+    iterator.next().then(function(){
+
+      qlm.setParameter('search', 'chess');
+
+      return iterator.next();
+
+    }).then(function(){
+      fail('The iteration should have failed');
+    }, function(error){
+      expect(error.kind).toBe(QLM.Error.ABORTED);
+    }).always(done);
+
+  });
+
+  it('collects the remaining items into an array', function(done){
+
+    var qlm = createQLM(250, []);
+
+    qlm.get(5).then(function(){
+      return qlm.toArray();
+    }).then(function(values){
+
+      expect(values.length).toBe(245);
+      expect(values[0].id).toBe(5);
+
+      return qlm.toArray();
+
+    }).then(function(values){
+
+      expect(values).toEqual([]);
+
+    }).always(done);
+
+  });
+
+  it('collects up to a limit', function(done){
+
+    var requests = [];
+
+    createQLM(250, requests).toArray({limit: 30}).then(function(values){
+
+      expect(values.length).toBe(30);
+      expect(requests.length).toBe(3);
+
+    }).always(done);
+
+  });
+
+});
@@ -0,0 +1,178 @@
+describe('QLM lifecycle functionality', function() {
+
+  var qlm, serviceURL = '/api/v1/products.json';
+
+  beforeEach(function(){
+
+    $.mockjax.clear();
+    $.mockjax({
+      url: /start=([\d]+)&count=([\d]+)/,
+      urlParams: ['start', 'count'],
+      response: function(settings){
+        var start = parseInt(settings.urlParams.start);
+        var count = parseInt(settings.urlParams.count);
+        var items = [];
+        for(var i = start; i < start + count; i++){
+          items.push({index: i});
+        }
+        this.responseText = {
+          exhausted: false,
+          items: items
+        };
+      }
+    });
+
+    qlm = new QLM({
+      serviceURL: serviceURL,
+      lowItemThreshold: 1,
+      paginator: {
+        state: {
+          count: 10
+        }
+      }
+    });
+
+  });
+
+  afterEach(function(){
+    $.mockjax.clear();
+  });
+
+  it('reports the number of buffered items', function(done){
+
+    expect(qlm.size()).toBe(0);
+
+    qlm.get(4).then(function(){
+
+      expect(qlm.size()).toBe(6);
+
+    }).always(done);
+
+  });
+
+  it('peeks at items without consuming them', function(done){
+
+    qlm.get(4).then(function(){
+
+      var items = qlm.peek(2);
+
+      expect(items.length).toBe(2);
+      expect(items[0].index).toBe(4);
+      expect(qlm.size()).toBe(6);
+      expect(qlm.peek().length).toBe(6);
+
+      return qlm.get(1);
+
+    }).then(function(items){
+
+      expect(items[0].index).toBe(4);
+
+    }).always(done);
+
+  });
+
+  it('starts over after reset', function(done){
+
+    qlm.get(4).then(function(){
+
+      qlm.reset();
+      expect(qlm.size()).toBe(0);
+
+      return qlm.get(1);
+
+    }).then(function(items){
+
+      expect(items[0].index).toBe(0);
+
+    }).always(done);
+
+  });
+
+  it('cancels a background request and requests the same page again', function(done){
+
+    qlm.get(10).then(function(){
+
+      // a background request for the second page is in flight now
+      qlm.cancel();
+
+      return qlm.get(1);
+
+    }).then(function(items){
+
+      var urls = $.mockjax.mockedAjaxCalls().map(function(call){ return call.url; });
+
+      expect(items[0].index).toBe(10);
+      expect(qlm.size()).toBe(9);
+      expect(urls[urls.length - 1]).toBe(serviceURL + '?start=10&count=10');
+
+    }).always(done);
+
+  });
+
+  it('aborts ongoing requests when parameters change or on destroy', function(){
+
+    var ajax = jQuery.ajax,
+        requests = [];
+
+    spyOn(jQuery, 'ajax').and.callFake(function(){
+      var request = ajax.apply(this, arguments);
+      spyOn(request, 'abort').and.callThrough();
+      requests.push(request);
+      return request;
+    });
+
+    qlm.get(1);
+    qlm.setParameter('search', 'chess');
+
+    expect(requests[0].abort).toHaveBeenCalled();
+
+    qlm.get(1);
+    qlm.destroy();
+
+    expect(requests[1].abort).toHaveBeenCalled();
+
+  });
+
+  it('rejects get() calls after destroy', function(done){
+
+    qlm.get(4).then(function(){
+
+      qlm.destroy();
+      expect(qlm.size()).toBe(0);
+
+      return qlm.get(1);
+
+    }).then(function(){
+
+      fail('get() should not resolve after destroy');
+
+    }, function(error){
+
+      expect(error.message).toBe('QLM instance has been destroyed.');
+
+    }).always(done);
+
+  });
+
+  it('does not trigger events after destroy', function(done){
+
+    var triggered = false;
+
+    $(document).on('qlm.loadFinished.lifecycle', function(){
+      triggered = true;
+    });
+
+    qlm.get(4);
+    qlm.destroy();
+
+    setTimeout(function(){
+
+      expect(triggered).toBe(false);
+      $(document).off('.lifecycle');
+      done();
+
+    }, 100);
+
+  });
+
+});
@@ -0,0 +1,384 @@
+describe('QLM live updates', function() {
+
+  var serviceURL = '/api/v1/messages.json';
+
+  // a list of messages, newest first, with ids counting down from 100
+  var newest, requests;
+
+  function transport(request){
+    requests.push(request.url);
+
+    if(request.parameters.since){
+      return $.Deferred().resolve({items: items(request.parameters.since + 1, newest - request.parameters.since).reverse()}).promise();
+    }
+
+    var offset = request.paginatorState.offset;
+    return $.Deferred().resolve({items: items(91 - offset, 10).reverse()}).promise();
+  }
+
+  function createQLM(config){
+    return new QLM($.extend(true, {
+      serviceURL: serviceURL,
+      lowItemThreshold: 0,
+      itemKey: 'id',
+      paginator: QLM.paginators.offset({limit: 10}),
+      transport: transport
+    }, config));
+  }
+
+  beforeEach(function(){
+    newest = 100;
+    requests = [];
+  });
+
+  describe('editing', function(){
+
+    it('prepends items, dropping those already seen', function(done){
+
+      var qlm = createQLM();
+
+      qlm.prepend([{id: 102}, {id: 101}]);
+
+      qlm.get(4).then(function(items){
+
+        expect(ids(items)).toEqual([102, 101, 100, 99]);
+
+        qlm.prepend([{id: 101}]);
+
+        return qlm.get(1);
+
+      }).then(function(items){
+
+        expect(ids(items)).toEqual([98]);
+
+      }).always(done);
+
+    });
+
+    it('does not return prepended items after items returned already', function(done){
+
+      var qlm = createQLM(),
+          announced = [];
+
+      qlm.on('newItemsAvailable', function(payload){
+        announced.push(payload);
+      });
+
+      qlm.get(5).then(function(){
+
+        qlm.prepend([{id: 102}, {id: 101}, {id: 95}]);
+
+        return qlm.get(3);
+
+      }).then(function(items){
+
+        expect(ids(items)).toEqual([95, 94, 93]);
+        expect(qlm.size()).toBe(2);
+
+        // they're seen, and the newest of them is the head polling compares with
+        expect(qlm.serialize().seenKeys).toEqual(jasmine.objectContaining({102: true, 101: true}));
+        expect(qlm.serialize().head).toEqual({id: 102});
+
+      }).always(done);
+
+    });
+
+    it('keeps the cursor on the same item in retained mode', function(done){
+
+      var qlm = createQLM({retain: {enabled: true}});
+
+      qlm.get(5).then(function(){
+
+        qlm.prepend([{id: 102}, {id: 101}]);
+
+        expect(qlm.getCursor()).toBe(7);
+
+        return qlm.get(1);
+
+      }).then(function(items){
+
+        expect(ids(items)).toEqual([95]);
+
+        return qlm.getRange(0, 3);
+
+      }).then(function(items){
+
+        expect(ids(items)).toEqual([102, 101, 100]);
+
+      }).always(done);
+
+    });
+
+    it('updates and removes buffered items by key', function(done){
+
+      var qlm = createQLM();
+
+      qlm.get(2).then(function(){
+
+        expect(qlm.update(97, {title: 'edited'})).toBe(true);
+        expect(qlm.update(98, function(item){
+          return {id: item.id, title: 'replaced'};
+        })).toBe(true);
+        expect(qlm.remove(96)).toBe(true);
+
+        // returned items aren't buffered anymore
+        expect(qlm.update(100, {title: 'edited'})).toBe(false);
+        expect(qlm.remove(100)).toBe(false);
+
+        return qlm.get(3);
+
+      }).then(function(items){
+
+        expect(items).toEqual([{id: 98, title: 'replaced'}, {id: 97, title: 'edited'}, {id: 95}]);
+
+      }).always(done);
+
+    });
+
+    it('does not put removed items back when their page is requested again', function(done){
+
+      var qlm = createQLM({retain: {enabled: true, maxItems: 10}, lowItemThreshold: 1});
+
+      qlm.get(1).then(function(){
+
+        qlm.remove(98);
+
+        return qlm.get(19);
+
+      }).then(function(){
+
+        return qlm.getRange(0, 5);
+
+      }).then(function(items){
+
+        expect(ids(items)).toEqual([100, 99, 97, 96, 95]);
+        expect(requests.length).toBe(3);
+
+      }).always(done);
+
+    });
+
+    it('requires the itemKey config to update or remove items', function(){
+
+      var qlm = createQLM({itemKey: null});
+
+      expect(function(){
+        qlm.update(1, {});
+      }).toThrow();
+
+      expect(function(){
+        qlm.remove(1);
+      }).toThrow();
+
+    });
+
+  });
+
+  describe('polling', function(){
+
+    beforeEach(function(){
+      jasmine.clock().install();
+    });
+
+    afterEach(function(){
+      jasmine.clock().uninstall();
+    });
+
+    it('announces items newer than the first item loaded, without changing the pagination state', function(){
+
+      var announced = [],
+          qlm = createQLM({
+            live: {
+              interval: 1000,
+              parameters: function(head){
+                return {since: head.id};
+              }
+            }
+          });
+
+      qlm.on('newItemsAvailable', function(payload){
+        announced.push(payload);
+      });
+
+      qlm.startLiveUpdates();
+
+      // nothing to compare with yet
+      jasmine.clock().tick(1000);
+      expect(requests).toEqual([]);
+
+      qlm.get(5);
+
+      jasmine.clock().tick(1000);
+      expect(announced).toEqual([]);
+
+      newest = 103;
+      jasmine.clock().tick(1000);
+
+      expect(announced.length).toBe(1);
+      expect(announced[0].count).toBe(3);
+      expect(ids(announced[0].items)).toEqual([103, 102, 101]);
+
+      jasmine.clock().tick(1000);
+      expect(announced.length).toBe(1);
+      expect(requests[requests.length - 1]).toBe(serviceURL + '?since=103');
+
+      qlm.get(6);
+      expect(requests[requests.length - 1]).toBe(serviceURL + '?offset=10&limit=10');
+
+      qlm.stopLiveUpdates();
+      newest = 110;
+      jasmine.clock().tick(5000);
+      expect(announced.length).toBe(1);
+
+    });
+
+    it('reports errors and keeps polling', function(){
+
+      var errors = [],
+          failing = true,
+          qlm = createQLM({
+            live: {
+              interval: 1000,
+              parameters: function(head){
+                return {since: head.id};
+              }
+            },
+            transport: function(request){
+              if(failing && request.parameters.since){
+                return $.Deferred().reject(new QLM.Error(QLM.Error.HTTP, 'Server error', {status: 503})).promise();
+              }
+              return transport(request);
+            }
+          }),
+          announced = 0;
+
+      qlm.on('error', function(payload){
+        errors.push(payload.error.status);
+      });
+
+      qlm.on('newItemsAvailable', function(payload){
+        announced += payload.count;
+      });
+
+      qlm.get(1);
+      qlm.startLiveUpdates();
+      newest = 101;
+
+      jasmine.clock().tick(1000);
+      expect(errors).toEqual([503]);
+
+      failing = false;
+      jasmine.clock().tick(1000);
+      expect(announced).toBe(1);
+
+    });
+
+    it('reports errors of the parameters function and keeps polling', function(){
+
+      var errors = [],
+          failing = true,
+          qlm = createQLM({
+            live: {
+              interval: 1000,
+              parameters: function(head){
+                if(failing){
+                  throw new Error('no date');
+                }
+                return {since: head.id};
+              }
+            }
+          }),
+          announced = 0;
+
+      qlm.on('error', function(payload){
+        errors.push(payload.error.kind);
+      });
+
+      qlm.on('newItemsAvailable', function(payload){
+        announced += payload.count;
+      });
+
+      qlm.get(1);
+      qlm.startLiveUpdates();
+      newest = 101;
+
+      jasmine.clock().tick(1000);
+      expect(errors).toEqual([QLM.Error.PROCESS]);
+
+      failing = false;
+      jasmine.clock().tick(1000);
+      expect(announced).toBe(1);
+
+    });
+
+  });
+
+  describe('Server-Sent Events', function(){
+
+    // stubs the interface of EventSource
+    function FakeEventSource(){
+      this.listeners = [];
+    }
+
+    FakeEventSource.prototype.addEventListener = function(type, listener){
+      this.listeners.push(listener);
+    };
+
+    FakeEventSource.prototype.removeEventListener = function(type, listener){
+      this.listeners.splice(this.listeners.indexOf(listener), 1);
+    };
+
+    FakeEventSource.prototype.send = function(data){
+      this.listeners.forEach(function(listener){
+        listener({data: data});
+      });
+    };
+
+    it('announces the items of messages which were not seen already', function(done){
+
+      var source = new FakeEventSource(),
+          announced = [],
+          qlm = createQLM({live: {eventSource: source}});
+
+      qlm.on('newItemsAvailable', function(payload){
+        announced.push(ids(payload.items));
+      });
+
+      qlm.startLiveUpdates();
+
+      qlm.get(5).then(function(){
+
+        source.send('{"id": 101}');
+        source.send('[{"id": 103}, {"id": 102}]');
+        source.send('{"id": 99}');
+
+        expect(announced).toEqual([[101], [103, 102]]);
+
+        qlm.destroy();
+
+        expect(source.listeners).toEqual([]);
+
+      }).always(done);
+
+    });
+
+    it('reports messages which cannot be parsed', function(){
+
+      var source = new FakeEventSource(),
+          errors = [],
+          qlm = createQLM({live: {eventSource: source}});
+
+      qlm.on('error', function(payload){
+        errors.push(payload.error.kind);
+      });
+
+      qlm.startLiveUpdates();
+      source.send('not json');
+
+      expect(errors).toEqual([QLM.Error.EXTRACT]);
+
+    });
+
+  });
+
+});
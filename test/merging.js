@@ -0,0 +1,189 @@
+describe('QLM merging', function() {
+
+  // creates an instance over the given items, recording the offsets requested
+  function createQLM(list, requests){
+    return new QLM({
+      serviceURL: '/api/v1/' + list[0].type + '.json',
+      lowItemThreshold: 0,
+      paginator: QLM.paginators.offset({limit: 2}),
+      transport: function(request){
+        var offset = request.paginatorState.offset;
+        if(requests){
+          requests.push(offset);
+        }
+        return $.Deferred().resolve({items: list.slice(offset, offset + 2)}).promise();
+      }
+    });
+  }
+
+  function items(type, count){
+    var result = [];
+    for(var i = 0; i < count; i++){
+      result.push({type: type, index: i});
+    }
+    return result;
+  }
+
+  function names(items){
+    return items.map(function(item){
+      return item.type[0] + item.index;
+    });
+  }
+
+  it('takes items from each source in turn', function(done){
+
+    var merged = QLM.merge([
+      createQLM(items('product', 3)),
+      createQLM(items('article', 1)),
+      createQLM(items('video', 2))
+    ]);
+
+    merged.get(4).then(function(items){
+
+      expect(names(items)).toEqual(['p0', 'a0', 'v0', 'p1']);
+
+      return merged.get(4);
+
+    }).then(function(items){
+
+      // sources with no items left are skipped
+      expect(names(items)).toEqual(['v1', 'p2']);
+      expect(merged.isExhausted()).toBe(true);
+
+    }).always(done);
+
+  });
+
+  it('takes items from each source according to their weights', function(done){
+
+    var merged = QLM.merge([
+      createQLM(items('product', 10)),
+      createQLM(items('article', 10))
+    ], {
+      strategy: 'weighted',
+      weights: [3, 1]
+    });
+
+    merged.get(8).then(function(items){
+
+      expect(names(items)).toEqual(['p0', 'p1', 'p2', 'a0', 'p3', 'p4', 'p5', 'a1']);
+
+    }).always(done);
+
+  });
+
+  it('merges sorted sources, requesting only the pages needed', function(done){
+
+    var dated = function(type, dates){
+      return dates.map(function(date, index){
+        return {type: type, index: index, date: date};
+      });
+    };
+
+    var productRequests = [],
+        articleRequests = [];
+
+    var merged = QLM.merge([
+      createQLM(dated('product', [1, 2, 3, 4, 5, 6]), productRequests),
+      createQLM(dated('article', [10, 11, 12]), articleRequests)
+    ], {
+      strategy: 'sorted',
+      compare: function(a, b){
+        return a.date - b.date;
+      }
+    });
+
+    merged.get(5).then(function(items){
+
+      expect(names(items)).toEqual(['p0', 'p1', 'p2', 'p3', 'p4']);
+      expect(productRequests).toEqual([0, 2, 4]);
+      expect(articleRequests).toEqual([0]);
+
+      return merged.get(5);
+
+    }).then(function(items){
+
+      expect(names(items)).toEqual(['p5', 'a0', 'a1', 'a2']);
+
+    }).always(done);
+
+  });
+
+  it('returns items in order to concurrent calls', function(done){
+
+    var merged = QLM.merge([
+      createQLM(items('product', 10)),
+      createQLM(items('article', 10))
+    ]);
+
+    var first = merged.get(3),
+        second = merged.get(3);
+
+    first.then(function(items){
+
+      expect(names(items)).toEqual(['p0', 'a0', 'p1']);
+
+      return second;
+
+    }).then(function(items){
+
+      expect(names(items)).toEqual(['a1', 'p2', 'a2']);
+
+    }).always(done);
+
+  });
+
+  it('keeps the items picked before a source fails', function(done){
+
+    var failing = true,
+        list = items('article', 10);
+
+    var merged = QLM.merge([
+      createQLM(items('product', 10)),
+      new QLM({
+        serviceURL: '/api/v1/articles.json',
+        lowItemThreshold: 0,
+        transport: function(){
+          return failing ?
+            $.Deferred().reject(new QLM.Error(QLM.Error.HTTP, 'Server error', {status: 500})).promise() :
+            $.Deferred().resolve({items: list}).promise();
+        }
+      })
+    ]);
+
+    merged.get(3).then(function(){
+      fail('get() should have failed');
+    }, function(error){
+
+      expect(error.status).toBe(500);
+      failing = false;
+
+      return merged.get(3);
+
+    }).then(function(items){
+
+      expect(names(items)).toEqual(['p0', 'a0', 'p1']);
+
+    }).always(done);
+
+  });
+
+  it('requires the options of the strategy', function(){
+
+    var sources = [createQLM(items('product', 1)), createQLM(items('article', 1))];
+
+    expect(function(){
+      QLM.merge(sources, {strategy: 'random'});
+    }).toThrow();
+
+    expect(function(){
+      QLM.merge(sources, {strategy: 'weighted', weights: [1]});
+    }).toThrow();
+
+    expect(function(){
+      QLM.merge(sources, {strategy: 'sorted'});
+    }).toThrow();
+
+  });
+
+});
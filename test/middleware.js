@@ -0,0 +1,249 @@
+describe('QLM middleware', function() {
+
+  var serviceURL = '/api/v1/products.json';
+
+  var requests;
+
+  function createQLM(config){
+    return new QLM($.extend({
+      serviceURL: serviceURL,
+      lowItemThreshold: 0,
+      queryParameters: {
+        search: 'chess'
+      },
+      paginator: QLM.paginators.offset({limit: 10}),
+      transport: function(request){
+        requests.push(request);
+        return $.Deferred().resolve({items: items(0, 10)}).promise();
+      }
+    }, config));
+  }
+
+  beforeEach(function(){
+    requests = [];
+  });
+
+  afterEach(function(){
+    $.mockjax.clear();
+  });
+
+  it('changes requests before they are sent', function(done){
+
+    var qlm = createQLM(),
+        contexts = [];
+
+    qlm.use(function(ctx){
+      contexts.push($.extend(true, {}, ctx));
+      ctx.headers.Authorization = 'Bearer token';
+      ctx.parameters.variant = 'b';
+    });
+
+    qlm.get(5).then(function(){
+
+      expect(contexts[0].instance).toBe(qlm.id);
+      expect(contexts[0].paginatorState).toEqual({offset: 0, limit: 10});
+      expect(contexts[0].parameters).toEqual({search: 'chess'});
+      expect(contexts[0].attempt).toBe(1);
+
+      expect(requests[0].url).toBe(serviceURL + '?search=chess&variant=b&offset=0&limit=10');
+      expect(requests[0].parameters).toEqual({search: 'chess', variant: 'b'});
+      expect(requests[0].headers).toEqual({Authorization: 'Bearer token'});
+
+    }).always(done);
+
+  });
+
+  it('sends the headers added by middlewares with the ajax transport', function(done){
+
+    $.mockjax({
+      url: /offset=/,
+      responseText: {
+        items: items(0, 10)
+      }
+    });
+
+    var qlm = createQLM({
+      transport: QLM.transports.ajax({
+        headers: {Accept: 'application/json'}
+      })
+    });
+
+    qlm.use({
+      beforeRequest: function(ctx){
+        ctx.headers.Authorization = 'Bearer token';
+      }
+    });
+
+    qlm.get(5).then(function(){
+
+      var call = $.mockjax.mockedAjaxCalls()[0];
+
+      expect(call.headers.Accept).toBe('application/json');
+      expect(call.headers.Authorization).toBe('Bearer token');
+
+    }).always(done);
+
+  });
+
+  it('calls the middlewares in order, waiting for their promises', function(done){
+
+    var qlm = createQLM(),
+        calls = [];
+
+    qlm.use({
+      beforeRequest: function(ctx){
+        var deferred = $.Deferred();
+        setTimeout(function(){
+          calls.push('first');
+          ctx.headers.token = 'abc';
+          deferred.resolve();
+        }, 10);
+        return deferred.promise();
+      }
+    });
+
+    qlm.use({
+      beforeRequest: function(ctx){
+        calls.push('second ' + ctx.headers.token);
+      },
+      afterResponse: function(ctx){
+        calls.push('after ' + ctx.response.items.length + ' ' + (ctx.duration >= 0));
+      }
+    });
+
+    qlm.get(5).then(function(){
+
+      expect(calls).toEqual(['first', 'second abc', 'after 10 true']);
+
+    }).always(done);
+
+  });
+
+  it('unwraps responses before they are validated', function(done){
+
+    var qlm = createQLM({
+      transport: function(){
+        return $.Deferred().resolve({data: {items: items(0, 10)}}).promise();
+      }
+    });
+
+    qlm.use({
+      afterResponse: function(ctx){
+        ctx.response = ctx.response.data;
+      }
+    });
+
+    qlm.get(5).then(function(items){
+
+      expect(items.length).toBe(5);
+
+    }).always(done);
+
+  });
+
+  it('retries right away when asked to by onError', function(done){
+
+    var token = 'expired',
+        qlm = createQLM({
+          transport: function(request){
+            requests.push(request);
+            if(request.headers.Authorization !== 'Bearer fresh'){
+              return $.Deferred().reject(new QLM.Error(QLM.Error.HTTP, 'Unauthorized', {status: 401})).promise();
+            }
+            return $.Deferred().resolve({items: items(0, 10)}).promise();
+          }
+        });
+
+    qlm.use({
+      beforeRequest: function(ctx){
+        ctx.headers.Authorization = 'Bearer ' + token;
+      },
+      onError: function(ctx){
+        if(ctx.error.status === 401 && ctx.attempt === 1){
+          token = 'fresh';
+          ctx.retry = true;
+        }
+      }
+    });
+
+    qlm.get(5).then(function(items){
+
+      expect(items.length).toBe(5);
+      expect(requests.length).toBe(2);
+
+    }).always(done);
+
+  });
+
+  it('recovers with a response provided by onError', function(done){
+
+    var qlm = createQLM({
+      transport: function(){
+        return $.Deferred().reject(new QLM.Error(QLM.Error.HTTP, 'Server error', {status: 500})).promise();
+      }
+    });
+
+    qlm.use({
+      onError: function(ctx){
+        ctx.response = {items: items(0, 3)};
+        ctx.error = null;
+      }
+    });
+
+    qlm.get(2).then(function(items){
+
+      expect(items.length).toBe(2);
+      expect(qlm.size()).toBe(1);
+
+    }).always(done);
+
+  });
+
+  it('fails the request when a middleware fails', function(done){
+
+    var qlm = createQLM(),
+        errors = [];
+
+    qlm.use(function(){
+      throw new Error('No token');
+    });
+
+    qlm.use({
+      onError: function(ctx){
+        errors.push(ctx.error.kind);
+      }
+    });
+
+    qlm.get(5).then(function(){
+      fail('get() should have failed');
+    }, function(error){
+
+      expect(error.kind).toBe(QLM.Error.MIDDLEWARE);
+      expect(error.cause.message).toBe('No token');
+      expect(errors).toEqual([QLM.Error.MIDDLEWARE]);
+      expect(requests.length).toBe(0);
+
+    }).always(done);
+
+  });
+
+  it('removes middlewares', function(done){
+
+    var qlm = createQLM(),
+        calls = 0;
+
+    var remove = qlm.use(function(){
+      calls++;
+    });
+
+    remove();
+
+    qlm.get(5).then(function(){
+
+      expect(calls).toBe(0);
+
+    }).always(done);
+
+  });
+
+});
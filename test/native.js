@@ -0,0 +1,125 @@
+describe('QLM without jQuery', function() {
+
+  var serviceURL = '/api/v1/products.json';
+
+  beforeEach(function(){
+    QLM.adapters.native();
+  });
+
+  afterEach(function(){
+    QLM.adapters.jquery($);
+  });
+
+  it('returns native promises', function(done){
+
+    var qlm = new QLM({
+      serviceURL: serviceURL,
+      transport: function(){
+        return Promise.resolve({items: items(0, 10)});
+      }
+    });
+
+    var promise = qlm.get(5);
+
+    expect(promise instanceof Promise).toBe(true);
+
+    promise.then(function(items){
+
+      expect(items.length).toBe(5);
+
+    }).then(done, done.fail);
+
+  });
+
+  it('passes the response object of transport results to paginators', function(done){
+
+    var requests = [];
+
+    var qlm = new QLM({
+      serviceURL: serviceURL,
+      lowItemThreshold: 0,
+      paginator: QLM.paginators.linkHeader({
+        state: {per_page: 5}
+      }),
+      transport: function(request){
+        var next = requests.length ? null : serviceURL + '?page=2&per_page=5';
+
+        requests.push(request.url);
+
+        return Promise.resolve(QLM.transports.result({items: items(requests.length * 5 - 5, 5)}, {
+          headers: {
+            get: function(name){
+              return name === 'Link' && next ? '<' + next + '>; rel="next"' : null;
+            }
+          }
+        }));
+      }
+    });
+
+    qlm.get(20).then(function(items){
+
+      expect(items.length).toBe(10);
+      expect(qlm.isExhausted()).toBe(true);
+      expect(requests).toEqual([
+        serviceURL + '?per_page=5',
+        serviceURL + '?page=2&per_page=5'
+      ]);
+
+    }).then(done, done.fail);
+
+  });
+
+  it('rejects with errors of native transports', function(done){
+
+    var qlm = new QLM({
+      serviceURL: serviceURL,
+      transport: function(){
+        return Promise.reject(new QLM.Error(QLM.Error.HTTP, 'Not found', {status: 404}));
+      }
+    });
+
+    qlm.get(5).then(done.fail, function(error){
+
+      expect(error.kind).toBe(QLM.Error.HTTP);
+      expect(error.status).toBe(404);
+
+    }).then(done, done.fail);
+
+  });
+
+  it('dispatches events as DOM custom events', function(done){
+
+    var payloads = [],
+        listener = function(e){
+          payloads.push(e.detail);
+        };
+
+    document.addEventListener('qlm.loadFinished', listener);
+
+    var qlm = new QLM({
+      serviceURL: serviceURL,
+      transport: function(){
+        return Promise.resolve({items: items(0, 10)});
+      }
+    });
+
+    qlm.get(5).then(function(){
+
+      expect(payloads.length).toBe(1);
+      expect(payloads[0].instance).toBe(qlm.id);
+
+    }).then(function(){
+      document.removeEventListener('qlm.loadFinished', listener);
+    }).then(done, done.fail);
+
+  });
+
+  it('requires jQuery for the ajax transport', function(){
+
+    expect(function(){
+      QLM.transports.ajax();
+    }).toThrow();
+
+  });
+
+});
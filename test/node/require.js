@@ -0,0 +1,97 @@
+// Runs in Node.js rather than in the browser, see the `node` task of the Gruntfile
+describe('QLM in Node.js', function() {
+
+  var QLM = require('../../src/js/quick-load-more.js'),
+      serviceURL = 'https://example.com/api/v1/products.json';
+
+  function items(from, count){
+    var result = [];
+    for(var i = from; i < from + count; i++){
+      result.push({id: i});
+    }
+    return result;
+  }
+
+  it('is exported as a CommonJS module, without a global', function(){
+
+    expect(typeof QLM).toBe('function');
+    expect(global.QLM).toBeUndefined();
+
+  });
+
+  it('gets items with an injected transport', function(done){
+
+    var requests = [],
+        qlm = new QLM({
+          serviceURL: serviceURL,
+          lowItemThreshold: 0,
+          transport: function(request){
+            requests.push(request.url);
+            return Promise.resolve({items: items(request.paginatorState.start, request.paginatorState.count)});
+          }
+        });
+
+    qlm.get(5).then(function(items){
+
+      expect(items.length).toBe(5);
+      expect(requests).toEqual([serviceURL + '?start=0&count=50']);
+
+    }).then(done, done.fail);
+
+  });
+
+  describe('without a global fetch', function(){
+
+    var originalFetch;
+
+    beforeEach(function(){
+      originalFetch = global.fetch;
+      delete global.fetch;
+    });
+
+    afterEach(function(){
+      if(originalFetch){
+        global.fetch = originalFetch;
+      }
+    });
+
+    it('requires a fetch implementation for the fetch transport', function(){
+
+      expect(function(){
+        QLM.transports.fetch();
+      }).toThrowError(/requires the Fetch API/);
+
+      expect(function(){
+        new QLM({serviceURL: serviceURL});
+      }).toThrowError(/requires the Fetch API/);
+
+    });
+
+    it('issues requests with the given fetch implementation', function(done){
+
+      var qlm = new QLM({
+        serviceURL: serviceURL,
+        transport: QLM.transports.fetch({
+          fetch: function(){
+            return Promise.resolve({
+              ok: true,
+              status: 200,
+              json: function(){
+                return Promise.resolve({items: items(0, 10)});
+              }
+            });
+          }
+        })
+      });
+
+      qlm.get(3).then(function(items){
+
+        expect(items).toEqual([{id: 0}, {id: 1}, {id: 2}]);
+
+      }).then(done, done.fail);
+
+    });
+
+  });
+
+});
@@ -0,0 +1,253 @@
+describe('QLM paginators', function() {
+
+  var serviceURL = '/api/v1/products.json';
+
+  afterEach(function(){
+    $.mockjax.clear();
+  });
+
+  function requestedURLs(){
+    return $.mockjax.mockedAjaxCalls().map(function(call){ return call.url; });
+  }
+
+  it('paginates with offset and limit', function(done){
+
+    $.mockjax({
+      url: /offset=([\d]+)&limit=([\d]+)/,
+      urlParams: ['offset', 'limit'],
+      response: function(settings){
+        this.responseText = {
+          items: items(parseInt(settings.urlParams.offset), parseInt(settings.urlParams.limit))
+        };
+      }
+    });
+
+    var qlm = new QLM({
+      serviceURL: serviceURL,
+      lowItemThreshold: 0,
+      paginator: QLM.paginators.offset({limit: 5})
+    });
+
+    qlm.get(8).then(function(items){
+
+      expect(items[7].id).toBe(7);
+      expect(requestedURLs()).toEqual([
+        serviceURL + '?offset=0&limit=5',
+        serviceURL + '?offset=5&limit=5'
+      ]);
+
+    }).always(done);
+
+  });
+
+  it('paginates with page numbers', function(done){
+
+    $.mockjax({
+      url: /page=([\d]+)&per_page=([\d]+)/,
+      urlParams: ['page', 'size'],
+      response: function(settings){
+        var size = parseInt(settings.urlParams.size);
+        this.responseText = {
+          items: items((parseInt(settings.urlParams.page) - 1) * size, size)
+        };
+      }
+    });
+
+    var qlm = new QLM({
+      serviceURL: serviceURL,
+      lowItemThreshold: 0,
+      paginator: QLM.paginators.page({size: 5})
+    });
+
+    qlm.get(8).then(function(items){
+
+      expect(items[7].id).toBe(7);
+      expect(requestedURLs()).toEqual([
+        serviceURL + '?page=1&per_page=5',
+        serviceURL + '?page=2&per_page=5'
+      ]);
+
+    }).always(done);
+
+  });
+
+  it('does not share state between instances', function(done){
+
+    $.mockjax({
+      url: /page=/,
+      responseText: {
+        items: items(0, 5)
+      }
+    });
+
+    var paginator = QLM.paginators.page({size: 5}),
+        first = new QLM({serviceURL: serviceURL, lowItemThreshold: 0, paginator: paginator}),
+        second = new QLM({serviceURL: serviceURL, lowItemThreshold: 0, paginator: paginator});
+
+    first.get(8).then(function(){
+
+      return second.get(1);
+
+    }).then(function(){
+
+      expect(requestedURLs()[2]).toBe(serviceURL + '?page=1&per_page=5');
+
+    }).always(done);
+
+  });
+
+  it('follows cursors in the response, and stops when there is none', function(done){
+
+    var requests = [],
+        responses = {
+          first: {items: items(0, 5), meta: {next: 'abc'}},
+          abc: {items: items(5, 5), meta: {next: null}}
+        };
+
+    var qlm = new QLM({
+      serviceURL: serviceURL,
+      lowItemThreshold: 0,
+      paginator: QLM.paginators.cursor('meta.next', {
+        state: {limit: 5}
+      }),
+      transport: function(request){
+        requests.push(request);
+        return $.Deferred().resolve(responses[request.paginatorState.cursor || 'first']).promise();
+      }
+    });
+
+    qlm.get(20).then(function(items){
+
+      expect(items.length).toBe(10);
+      expect(qlm.isExhausted()).toBe(true);
+      expect(requests.length).toBe(2);
+      expect(requests[0].url).toBe(serviceURL + '?limit=5');
+      expect(requests[1].url).toBe(serviceURL + '?limit=5&cursor=abc');
+
+    }).always(done);
+
+  });
+
+  it('follows the next link of the Link header, and stops when there is none', function(done){
+
+    $.mockjax({
+      url: serviceURL + '?per_page=5',
+      headers: {
+        Link: '<' + serviceURL + '?page=2&per_page=5>; rel="next", <' + serviceURL + '?page=9&per_page=5>; rel="last"'
+      },
+      responseText: {
+        items: items(0, 5)
+      }
+    });
+
+    $.mockjax({
+      url: serviceURL + '?page=2&per_page=5',
+      headers: {
+        Link: '<' + serviceURL + '?page=1&per_page=5>; rel="prev"'
+      },
+      responseText: {
+        items: items(5, 5)
+      }
+    });
+
+    var qlm = new QLM({
+      serviceURL: serviceURL,
+      lowItemThreshold: 0,
+      paginator: QLM.paginators.linkHeader({
+        state: {per_page: 5}
+      })
+    });
+
+    qlm.get(20).then(function(items){
+
+      expect(items.length).toBe(10);
+      expect(qlm.isExhausted()).toBe(true);
+      expect(requestedURLs()).toEqual([
+        serviceURL + '?per_page=5',
+        serviceURL + '?page=2&per_page=5'
+      ]);
+
+    }).always(done);
+
+  });
+
+  it('loads previous pages starting from a given page number', function(done){
+
+    $.mockjax({
+      url: /page=([\d]+)&per_page=([\d]+)/,
+      urlParams: ['page', 'size'],
+      response: function(settings){
+        var size = parseInt(settings.urlParams.size);
+        this.responseText = {
+          items: items((parseInt(settings.urlParams.page) - 1) * size, size)
+        };
+      }
+    });
+
+    var qlm = new QLM({
+      serviceURL: serviceURL,
+      lowItemThreshold: 0,
+      lowPreviousItemThreshold: 0,
+      paginator: QLM.paginators.page({size: 5, page: 2})
+    });
+
+    qlm.get(1).then(function(){
+      return qlm.getPrevious(8);
+    }).then(function(items){
+
+      expect(items.length).toBe(5);
+      expect(items[0].id).toBe(0);
+      expect(qlm.isExhausted('previous')).toBe(true);
+      expect(requestedURLs()).toEqual([
+        serviceURL + '?page=2&per_page=5',
+        serviceURL + '?page=1&per_page=5'
+      ]);
+
+    }).always(done);
+
+  });
+
+  it('follows the prev link of the Link header', function(done){
+
+    $.mockjax({
+      url: serviceURL + '?page=2&per_page=5',
+      headers: {
+        Link: '<' + serviceURL + '?page=1&per_page=5>; rel="prev"'
+      },
+      responseText: {
+        items: items(5, 5)
+      }
+    });
+
+    $.mockjax({
+      url: serviceURL + '?page=1&per_page=5',
+      headers: {
+        Link: '<' + serviceURL + '?page=2&per_page=5>; rel="next"'
+      },
+      responseText: {
+        items: items(0, 5)
+      }
+    });
+
+    var qlm = new QLM({
+      serviceURL: serviceURL,
+      lowItemThreshold: 0,
+      lowPreviousItemThreshold: 0,
+      paginator: QLM.paginators.linkHeader({
+        state: {page: 2, per_page: 5}
+      })
+    });
+
+    qlm.get(1).then(function(){
+      return qlm.getPrevious(10);
+    }).then(function(items){
+
+      expect(items.length).toBe(5);
+      expect(items[4].id).toBe(4);
+      expect(qlm.isExhausted('previous')).toBe(true);
+
+    }).always(done);
+
+  });
+
+});
@@ -0,0 +1,173 @@
+describe('QLM query parameter functionality', function() {
+
+  var serviceURL = '/api/v1/search.json';
+
+  beforeEach(function(){
+
+    $.mockjax.clear();
+
+    // every item carries the category it was requested with
+    $.mockjax({
+      url: /category=([\w]+).*start=([\d]+)&count=([\d]+)/,
+      urlParams: ['category', 'start', 'count'],
+      response: function(settings){
+        var start = parseInt(settings.urlParams.start);
+        var count = parseInt(settings.urlParams.count);
+        var items = [];
+        for(var i = start; i < start + count; i++){
+          items.push({category: settings.urlParams.category, index: i});
+        }
+        this.responseText = {
+          exhausted: false,
+          items: items
+        };
+      }
+    });
+
+  });
+
+  afterEach(function(){
+    $.mockjax.clear();
+  });
+
+  function createQLM(){
+    return new QLM({
+      serviceURL: serviceURL,
+      lowItemThreshold: 5,
+      queryParameters: {
+        category: 'books'
+      },
+      paginator: {
+        state: {
+          count: 10
+        }
+      }
+    });
+  }
+
+  it('restarts pagination and discards the cache when a parameter is set', function(done){
+
+    var qlm = createQLM();
+
+    qlm.get(3).then(function(items){
+
+      expect(items[0].category).toBe('books');
+
+      qlm.setParameter('category', 'music');
+      expect(qlm.__localCache.length).toBe(0);
+
+      return qlm.get(3);
+
+    }).then(function(items){
+
+      expect(items[0].category).toBe('music');
+      expect(items[0].index).toBe(0);
+
+      var urls = $.mockjax.mockedAjaxCalls().map(function(call){ return call.url; });
+      expect(urls[urls.length - 1]).toBe(serviceURL + '?category=music&start=0&count=10');
+
+    }).always(done);
+
+  });
+
+  it('sets several parameters at once', function(done){
+
+    var qlm = createQLM();
+
+    qlm.setParameters({category: 'games', search: 'chess'});
+
+    qlm.get(1).then(function(){
+
+      var urls = $.mockjax.mockedAjaxCalls().map(function(call){ return call.url; });
+      expect(urls[urls.length - 1]).toBe(serviceURL + '?category=games&search=chess&start=0&count=10');
+
+    }).always(done);
+
+  });
+
+  it('removes parameters', function(done){
+
+    var qlm = createQLM();
+
+    qlm.setParameter('search', 'chess');
+    qlm.removeParameter('search');
+
+    qlm.get(1).then(function(){
+
+      var urls = $.mockjax.mockedAjaxCalls().map(function(call){ return call.url; });
+      expect(urls[urls.length - 1]).toBe(serviceURL + '?category=books&start=0&count=10');
+
+    }).always(done);
+
+  });
+
+  it('ignores responses to requests issued before a parameter change', function(done){
+
+    var qlm = createQLM();
+
+    // this request is still in flight when the parameter changes
+    qlm.get(3);
+    qlm.setParameter('category', 'music');
+
+    qlm.get(20).then(function(items){
+
+      expect(items.length).toBe(20);
+      expect(items.filter(function(item){ return item.category !== 'music'; }).length).toBe(0);
+
+    }).always(done);
+
+  });
+
+  it('rejects calls made before a parameter change, even if the transport cannot abort', function(done){
+
+    var responses = [];
+
+    var qlm = new QLM({
+      serviceURL: serviceURL,
+      lowItemThreshold: 0,
+      queryParameters: {
+        category: 'books'
+      },
+      paginator: QLM.paginators.offset({limit: 3}),
+
+      // responds when the test says so, without an abort() method
+      transport: function(request){
+        var response = $.Deferred();
+        responses.push(function(){
+          var items = [];
+          for(var i = request.paginatorState.offset; i < request.paginatorState.offset + 3; i++){
+            items.push(request.parameters.category + i);
+          }
+          response.resolve({items: items});
+        });
+        return {then: response.promise().then};
+      }
+    });
+
+    var stale = qlm.get(3),
+        current;
+
+    qlm.setParameter('category', 'music');
+    current = qlm.get(3);
+
+    // the response to the old query arrives last
+    responses[1]();
+    responses[0]();
+
+    stale.then(function(){
+      fail('get() should reject');
+    }, function(error){
+
+      expect(error.kind).toBe(QLM.Error.ABORTED);
+
+      return current;
+
+    }).then(function(items){
+
+      expect(items).toEqual(['music0', 'music1', 'music2']);
+
+    }).always(done);
+
+  });
+
+});
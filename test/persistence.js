@@ -0,0 +1,139 @@
+describe('QLM persistence', function() {
+
+  var serviceURL = '/api/v1/products.json';
+
+  function createQLM(storage, requests, persistence){
+    return new QLM({
+      serviceURL: serviceURL,
+      lowItemThreshold: 0,
+      queryParameters: {
+        category: 'shoes'
+      },
+      paginator: {
+        state: {
+          count: 10
+        }
+      },
+      persistence: $.extend({
+        key: 'products',
+        storage: storage
+      }, persistence),
+      transport: createTransport({requests: requests})
+    });
+  }
+
+  it('restores items, pagination and query parameters without requests', function(done){
+
+    var storage = QLM.storage.memory(),
+        requests = [],
+        first = createQLM(storage, requests);
+
+    first.setParameter('color', 'red');
+
+    first.get(4).then(function(){
+
+      var second = createQLM(storage, requests);
+      return second.restore().then(function(snapshot){
+
+        expect(snapshot.consumed).toBe(4);
+        expect(second.size()).toBe(6);
+        expect(requests.length).toBe(1);
+
+        return second.get(8);
+      }).then(function(items){
+
+        expect(ids(items)).toEqual([4, 5, 6, 7, 8, 9, 10, 11]);
+        expect(requests.length).toBe(2);
+        expect(requests[1].paginatorState.start).toBe(10);
+        expect(requests[1].url).toContain('color=red');
+      });
+
+    }).then(null, fail).always(done);
+
+  });
+
+  it('resolves with null when there is nothing to restore', function(done){
+
+    var qlm = createQLM(QLM.storage.memory(), []);
+
+    qlm.restore().then(function(snapshot){
+      expect(snapshot).toBeNull();
+    }).then(null, fail).always(done);
+
+  });
+
+  it('does not restore expired snapshots', function(done){
+
+    var storage = QLM.storage.memory(),
+        requests = [],
+        first = createQLM(storage, requests, {ttl: -1});
+
+    first.get(4).then(function(){
+
+      var second = createQLM(storage, requests, {ttl: -1});
+      return second.restore().then(function(snapshot){
+        expect(snapshot).toBeNull();
+        expect(second.size()).toBe(0);
+        expect(storage.getItem('products')).toBeNull();
+      });
+
+    }).then(null, fail).always(done);
+
+  });
+
+  it('persists to sessionStorage by default', function(done){
+
+    var requests = [],
+        qlm = new QLM({
+          serviceURL: serviceURL,
+          lowItemThreshold: 0,
+          persistence: {
+            key: 'qlm-persistence-test'
+          },
+          transport: createTransport({requests: requests})
+        });
+
+    qlm.get(5).then(function(){
+
+      var snapshot = JSON.parse(window.sessionStorage.getItem('qlm-persistence-test'));
+      expect(snapshot.consumed).toBe(5);
+      expect(snapshot.items.length).toBe(45);
+
+    }).then(null, fail).always(function(){
+      window.sessionStorage.removeItem('qlm-persistence-test');
+      done();
+    });
+
+  });
+
+  it('supports asynchronous storage adapters', function(done){
+
+    var values = {},
+        storage = {
+          getItem: function(key){
+            return $.Deferred().resolve(values[key] || null).promise();
+          },
+          setItem: function(key, value){
+            values[key] = value;
+            return $.Deferred().resolve().promise();
+          },
+          removeItem: function(key){
+            delete values[key];
+          }
+        },
+        requests = [],
+        first = createQLM(storage, requests);
+
+    first.get(3).then(function(){
+      var second = createQLM(storage, requests);
+      return second.restore().then(function(snapshot){
+        expect(snapshot.consumed).toBe(3);
+        return second.get(1);
+      }).then(function(items){
+        expect(ids(items)).toEqual([3]);
+      });
+    }).then(null, fail).always(done);
+
+  });
+
+});
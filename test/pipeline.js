@@ -0,0 +1,149 @@
+describe('QLM item pipeline', function() {
+
+  var serviceURL = '/api/v1/products.json';
+
+  // creates an instance over 30 items in the shape of the API, recording the offsets requested
+  function createQLM(requests, config){
+    return new QLM($.extend({
+      serviceURL: serviceURL,
+      lowItemThreshold: 0,
+      paginator: {
+        state: {
+          count: 10
+        }
+      },
+      transformItem: function(item){
+        return {id: item.product_id};
+      },
+      transport: createTransport({
+        total: 30,
+        key: 'product_id',
+        requests: requests,
+        record: function(request){
+          return request.paginatorState.start;
+        }
+      })
+    }, config));
+  }
+
+  it('transforms items before they are added to the local cache', function(done){
+
+    var requests = [],
+        qlm = createQLM(requests);
+
+    qlm.get(3).then(function(items){
+      expect(items).toEqual([{id: 0}, {id: 1}, {id: 2}]);
+    }).then(null, fail).always(done);
+
+  });
+
+  it('does not count filtered out items, and keeps fetching until enough remain', function(done){
+
+    var requests = [],
+        qlm = createQLM(requests, {
+          filterItem: function(item){
+            return item.id % 3 === 0;
+          }
+        });
+
+    qlm.get(6).then(function(items){
+      expect(ids(items)).toEqual([0, 3, 6, 9, 12, 15]);
+      expect(requests).toEqual([0, 10]);
+      return qlm.get(10);
+    }).then(function(items){
+      expect(ids(items)).toEqual([18, 21, 24, 27]);
+      expect(qlm.isExhausted()).toBe(true);
+    }).then(null, fail).always(done);
+
+  });
+
+  it('does not treat a page whose items are all filtered out as the last one', function(done){
+
+    var requests = [],
+        qlm = createQLM(requests, {
+          filterItem: function(item){
+            return item.id >= 20;
+          }
+        });
+
+    qlm.get(2).then(function(items){
+      expect(ids(items)).toEqual([20, 21]);
+      expect(requests).toEqual([0, 10, 20]);
+    }).then(null, fail).always(done);
+
+  });
+
+  it('waits for items to be enriched', function(done){
+
+    var requests = [],
+        batches = [],
+        qlm = createQLM(requests, {
+          enrichItems: function(items){
+            var result = $.Deferred();
+
+            batches.push(ids(items));
+
+            setTimeout(function(){
+              result.resolve(items.map(function(item){
+                return $.extend({price: item.id * 10}, item);
+              }));
+            }, 5);
+
+            return result.promise();
+          }
+        });
+
+    qlm.get(2).then(function(items){
+      expect(items).toEqual([{id: 0, price: 0}, {id: 1, price: 10}]);
+      expect(batches).toEqual([[0, 1, 2, 3, 4, 5, 6, 7, 8, 9]]);
+    }).then(null, fail).always(done);
+
+  });
+
+  it('rejects without adding items when enrichment fails', function(done){
+
+    var requests = [],
+        enrich = function(){
+          return $.Deferred().reject(new Error('prices unavailable')).promise();
+        },
+        qlm = createQLM(requests, {
+          enrichItems: function(items){
+            return enrich(items);
+          }
+        });
+
+    qlm.get(2).then(function(){
+      fail('the promise should be rejected');
+    }, function(error){
+      expect(error.kind).toBe(QLM.Error.PROCESS);
+      expect(error.message).toContain('prices unavailable');
+      expect(qlm.size()).toBe(0);
+
+      enrich = function(items){
+        return items;
+      };
+      return qlm.get(2);
+    }).then(function(items){
+      expect(ids(items)).toEqual([0, 1]);
+      expect(requests).toEqual([0, 0]);
+    }).always(done);
+
+  });
+
+  it('drops duplicates by the key of transformed items', function(done){
+
+    var requests = [],
+        qlm = createQLM(requests, {
+          itemKey: 'id',
+          transformItem: function(item){
+            return {id: Math.floor(item.product_id / 2)};
+          }
+        });
+
+    qlm.get(4).then(function(items){
+      expect(ids(items)).toEqual([0, 1, 2, 3]);
+    }).then(null, fail).always(done);
+
+  });
+
+});
@@ -0,0 +1,184 @@
+describe('QLM getPrevious', function() {
+
+  var serviceURL = '/api/v1/messages.json';
+
+  // creates an instance over 200 items starting at the given offset, recording the pagination
+  // state of the requests
+  function createQLM(start, requests, config){
+    return new QLM($.extend({
+      serviceURL: serviceURL,
+      lowItemThreshold: 0,
+      lowPreviousItemThreshold: 0,
+      paginator: {
+        state: {
+          start: start,
+          count: 10
+        }
+      },
+      transport: createTransport({
+        total: 200,
+        requests: requests,
+        record: function(request){
+          return request.paginatorState;
+        }
+      })
+    }, config));
+  }
+
+  it('returns the items before the initial page, in list order', function(done){
+
+    var requests = [],
+        qlm = createQLM(100, requests);
+
+    qlm.get(5).then(function(items){
+      expect(ids(items)).toEqual([100, 101, 102, 103, 104]);
+      return qlm.getPrevious(5);
+    }).then(function(items){
+      expect(ids(items)).toEqual([95, 96, 97, 98, 99]);
+      return qlm.getPrevious(12);
+    }).then(function(items){
+      expect(ids(items)).toEqual([83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94]);
+      expect(requests).toEqual([
+        {start: 100, count: 10},
+        {start: 90, count: 10},
+        {start: 80, count: 10}
+      ]);
+      return qlm.get(5);
+    }).then(function(items){
+      expect(ids(items)).toEqual([105, 106, 107, 108, 109]);
+    }).then(null, fail).always(done);
+
+  });
+
+  it('can load previous items before any other', function(done){
+
+    var requests = [],
+        qlm = createQLM(100, requests);
+
+    qlm.getPrevious(3).then(function(items){
+      expect(ids(items)).toEqual([97, 98, 99]);
+      return qlm.get(3);
+    }).then(function(items){
+      expect(ids(items)).toEqual([100, 101, 102]);
+    }).then(null, fail).always(done);
+
+  });
+
+  it('tracks exhaustion in each direction independently', function(done){
+
+    var requests = [],
+        exhausted = [],
+        qlm = createQLM(15, requests);
+
+    qlm.on('exhausted', function(payload){
+      exhausted.push(payload.direction);
+    });
+
+    qlm.getPrevious(20).then(function(items){
+      expect(ids(items)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14]);
+      expect(requests).toEqual([
+        {start: 5, count: 10},
+        {start: 0, count: 5}
+      ]);
+      expect(exhausted).toEqual(['previous']);
+      expect(qlm.isExhausted('previous')).toBe(true);
+      expect(qlm.isExhausted()).toBe(false);
+
+      return qlm.getPrevious(5);
+    }).then(function(items){
+      expect(items).toEqual([]);
+      expect(requests.length).toBe(2);
+
+      return qlm.get(5);
+    }).then(function(items){
+      expect(ids(items)).toEqual([15, 16, 17, 18, 19]);
+      expect(qlm.isExhausted()).toBe(false);
+    }).then(null, fail).always(done);
+
+  });
+
+  it('refills the backward buffer in the background', function(done){
+
+    var requests = [],
+        qlm = createQLM(100, requests, {lowPreviousItemThreshold: 8});
+
+    qlm.getPrevious(5).then(function(){
+      expect(requests.length).toBe(1);
+      return qlm.getPrevious(1);
+    }).then(function(items){
+      expect(ids(items)).toEqual([94]);
+      expect(requests.length).toBe(2);
+      expect(requests[1]).toEqual({start: 80, count: 10});
+    }).then(null, fail).always(done);
+
+  });
+
+  it('resolves with no items if the paginator does not support it', function(done){
+
+    var requests = [],
+        qlm = createQLM(100, requests, {
+          paginator: {
+            state: {start: 100, count: 10},
+            next: function(state){
+              return {start: state.start + state.count, count: state.count};
+            }
+          }
+        });
+
+    qlm.getPrevious(5).then(function(items){
+      expect(items).toEqual([]);
+      expect(requests.length).toBe(0);
+      expect(qlm.isExhausted('previous')).toBe(true);
+    }).then(null, fail).always(done);
+
+  });
+
+  it('follows the previous cursor of the cursor paginator', function(done){
+
+    var requests = [],
+        qlm = new QLM({
+          serviceURL: serviceURL,
+          lowItemThreshold: 0,
+          lowPreviousItemThreshold: 0,
+          paginator: QLM.paginators.cursor('after', {
+            prevPath: 'before',
+            prevName: 'before',
+            state: {around: 'm5'}
+          }),
+          transport: function(request){
+            var state = request.paginatorState,
+                pages = {
+                  around: {items: [{id: 5}, {id: 6}], before: 'm5', after: 'm6'},
+                  before: {items: [{id: 3}, {id: 4}], before: 'm3', after: 'm4'}
+                };
+
+            requests.push(state);
+
+            return $.Deferred().resolve(state.before ? pages.before : pages.around).promise();
+          }
+        });
+
+    qlm.get(2).then(function(){
+      return qlm.getPrevious(2);
+    }).then(function(items){
+      expect(ids(items)).toEqual([3, 4]);
+      expect(requests[1]).toEqual({around: 'm5', before: 'm5'});
+    }).then(null, fail).always(done);
+
+  });
+
+  it('starts over when the query changes', function(done){
+
+    var requests = [],
+        qlm = createQLM(100, requests, {lowPreviousItemThreshold: 0});
+
+    qlm.getPrevious(2).then(function(){
+      qlm.setParameter('channel', 'general');
+      return qlm.getPrevious(2);
+    }).then(function(items){
+      expect(ids(items)).toEqual([98, 99]);
+    }).then(null, fail).always(done);
+
+  });
+
+});
@@ -0,0 +1,161 @@
+describe('QLM retained mode', function() {
+
+  var serviceURL = '/api/v1/products.json';
+
+  // creates an instance over 100 items, recording the offsets requested
+  function createQLM(requests, retain){
+    return new QLM({
+      serviceURL: serviceURL,
+      lowItemThreshold: 0,
+      paginator: {
+        state: {
+          count: 10
+        }
+      },
+      retain: $.extend({enabled: true}, retain),
+      transport: createTransport({
+        total: 100,
+        requests: requests,
+        record: function(request){
+          return request.paginatorState.start;
+        }
+      })
+    });
+  }
+
+  it('keeps the items returned, and moves the cursor past them', function(done){
+
+    var requests = [],
+        qlm = createQLM(requests);
+
+    qlm.get(5).then(function(){
+      return qlm.get(3);
+    }).then(function(items){
+      expect(ids(items)).toEqual([5, 6, 7]);
+      expect(qlm.getCursor()).toBe(8);
+      expect(qlm.size()).toBe(2);
+      expect(ids(qlm.peek())).toEqual([8, 9]);
+      return qlm.getRange(2, 4);
+    }).then(function(items){
+      expect(ids(items)).toEqual([2, 3, 4, 5]);
+      expect(requests).toEqual([0]);
+      expect(qlm.getCursor()).toBe(8);
+    }).then(null, fail).always(done);
+
+  });
+
+  it('loads the pages needed for a range', function(done){
+
+    var requests = [],
+        qlm = createQLM(requests);
+
+    qlm.getRange(25, 10).then(function(items){
+      expect(ids(items)).toEqual([25, 26, 27, 28, 29, 30, 31, 32, 33, 34]);
+      expect(requests).toEqual([0, 10, 20, 30]);
+      expect(qlm.getCursor()).toBe(0);
+      return qlm.getRange(95, 10);
+    }).then(function(items){
+      expect(ids(items)).toEqual([95, 96, 97, 98, 99]);
+      expect(qlm.isExhausted()).toBe(true);
+    }).then(null, fail).always(done);
+
+  });
+
+  it('returns items from the cursor after seeking', function(done){
+
+    var requests = [],
+        qlm = createQLM(requests);
+
+    qlm.seek(20);
+
+    qlm.get(3).then(function(items){
+      expect(ids(items)).toEqual([20, 21, 22]);
+      qlm.seek(1);
+      return qlm.get(2);
+    }).then(function(items){
+      expect(ids(items)).toEqual([1, 2]);
+      expect(qlm.getCursor()).toBe(3);
+      expect(requests).toEqual([0, 10, 20]);
+    }).then(null, fail).always(done);
+
+  });
+
+  it('evicts the pages farthest from the cursor, and requests them again when needed', function(done){
+
+    var requests = [],
+        qlm = createQLM(requests, {maxItems: 20});
+
+    qlm.get(10).then(function(){
+      return qlm.get(10);
+    }).then(function(){
+      return qlm.get(10);
+    }).then(function(){
+      expect(qlm.__localCache[0]).toBeNull();
+      expect(qlm.__localCache[10]).not.toBeNull();
+      return qlm.getRange(0, 5);
+    }).then(function(items){
+      expect(ids(items)).toEqual([0, 1, 2, 3, 4]);
+      expect(requests).toEqual([0, 10, 20, 0]);
+      expect(qlm.__localCache[10]).toBeNull();
+
+      qlm.seek(10);
+      return qlm.get(2);
+    }).then(function(items){
+      expect(ids(items)).toEqual([10, 11]);
+      expect(requests).toEqual([0, 10, 20, 0, 10]);
+    }).then(null, fail).always(done);
+
+  });
+
+  it('has no items available after seeking past the items loaded', function(done){
+
+    var requests = [],
+        qlm = createQLM(requests);
+
+    qlm.get(5).then(function(){
+      qlm.seek(50);
+      expect(qlm.size()).toBe(0);
+      expect(qlm.peek()).toEqual([]);
+      return qlm.get(2);
+    }).then(function(items){
+      expect(ids(items)).toEqual([50, 51]);
+    }).then(null, fail).always(done);
+
+  });
+
+  it('leaves the items of evicted pages out when peeking', function(done){
+
+    var requests = [],
+        qlm = createQLM(requests, {maxItems: 20});
+
+    qlm.get(10).then(function(){
+      return qlm.get(10);
+    }).then(function(){
+      return qlm.get(10);
+    }).then(function(){
+      return qlm.getRange(0, 5);
+    }).then(function(){
+      expect(qlm.__localCache[10]).toBeNull();
+
+      qlm.seek(5);
+      expect(ids(qlm.peek(8))).toEqual([5, 6, 7, 8, 9, 20, 21, 22]);
+      expect(qlm.peek()).not.toContain(null);
+    }).then(null, fail).always(done);
+
+  });
+
+  it('is only available when enabled', function(){
+
+    var qlm = new QLM({serviceURL: serviceURL});
+
+    expect(function(){
+      qlm.getRange(0, 10);
+    }).toThrowError(/retained mode/);
+
+    expect(function(){
+      qlm.seek(10);
+    }).toThrowError(/retained mode/);
+
+  });
+
+});
@@ -0,0 +1,105 @@
+describe('QLM retry functionality', function() {
+
+  var serviceURL = '/api/v1/products.json',
+      failures;
+
+  // responds with the given status for the first `failures` requests, and with items afterwards
+  function setupFlakyMockjax(status){
+    $.mockjax.clear();
+    $.mockjax({
+      url: /start=([\d]+)&count=([\d]+)/,
+      response: function(){
+        if(failures > 0){
+          failures--;
+          this.status = status;
+          this.responseText = 'Service Unavailable';
+        }else{
+          this.status = 200;
+          this.responseText = {
+            exhausted: false,
+            items: [{title: 'title 1'}, {title: 'title 2'}]
+          };
+        }
+      }
+    });
+  }
+
+  function createQLM(attempts){
+    return new QLM({
+      serviceURL: serviceURL,
+      lowItemThreshold: 0,
+      retry: {
+        attempts: attempts,
+        delay: 1,
+        jitter: 0,
+        statuses: [503]
+      }
+    });
+  }
+
+  beforeEach(function(){
+    spyOn(jQuery, 'ajax').and.callThrough();
+  });
+
+  afterEach(function(){
+    $.mockjax.clear();
+  });
+
+  it('retries failed requests transparently', function(done){
+
+    failures = 2;
+    setupFlakyMockjax(503);
+
+    createQLM(3).get(2).then(function(items){
+
+      expect(items.length).toBe(2);
+      expect(jQuery.ajax.calls.count()).toBe(3);
+
+    }, function(){
+
+      fail('get() should resolve after a successful retry');
+
+    }).always(done);
+
+  });
+
+  it('rejects with a structured error when all attempts fail', function(done){
+
+    failures = 5;
+    setupFlakyMockjax(503);
+
+    createQLM(3).get(2).then(function(){
+
+      fail('get() should reject when all attempts fail');
+
+    }, function(error){
+
+      expect(error.status).toBe(503);
+      expect(error.url).toBe(serviceURL + '?start=0&count=50');
+      expect(error.attempts).toBe(3);
+      expect(jQuery.ajax.calls.count()).toBe(3);
+
+    }).always(done);
+
+  });
+
+  it('does not retry statuses which are not retryable', function(done){
+
+    failures = 1;
+    setupFlakyMockjax(404);
+
+    createQLM(3).get(2).then(function(){
+
+      fail('get() should reject on a non-retryable status');
+
+    }, function(error){
+
+      expect(error.status).toBe(404);
+      expect(error.attempts).toBe(1);
+      expect(jQuery.ajax.calls.count()).toBe(1);
+
+    }).always(done);
+
+  });
+
+});
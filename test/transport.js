@@ -0,0 +1,185 @@
+describe('QLM transports', function() {
+
+  var serviceURL = '/api/v1/products.json';
+
+  function items(count){
+    var result = [];
+    for(var i = 0; i < count; i++){
+      result.push({title: 'title ' + (i + 1)});
+    }
+    return result;
+  }
+
+  afterEach(function(){
+    $.mockjax.clear();
+  });
+
+  it('uses a custom transport', function(done){
+
+    var requests = [];
+
+    var qlm = new QLM({
+      serviceURL: serviceURL,
+      queryParameters: {
+        search: 'chess'
+      },
+      paginator: {
+        state: {
+          count: 10
+        }
+      },
+      transport: function(request){
+        requests.push(request);
+        return $.Deferred().resolve({items: items(10)}).promise();
+      }
+    });
+
+    qlm.get(5).then(function(items){
+
+      expect(items.length).toBe(5);
+      expect(requests.length).toBe(1);
+      expect(requests[0].url).toBe(serviceURL + '?search=chess&start=0&count=10');
+      expect(requests[0].parameters).toEqual({search: 'chess'});
+      expect(requests[0].paginatorState).toEqual({start: 0, count: 10});
+
+    }).always(done);
+
+  });
+
+  it('accepts any thenable from a custom transport', function(done){
+
+    var qlm = new QLM({
+      serviceURL: serviceURL,
+      transport: function(){
+        return {
+          then: function(resolve){
+            resolve({items: items(10)});
+          }
+        };
+      }
+    });
+
+    qlm.get(5).then(function(items){
+
+      expect(items.length).toBe(5);
+
+    }).always(done);
+
+  });
+
+  it('sends the configured method, headers and body with the ajax transport', function(done){
+
+    $.mockjax({
+      url: /start=/,
+      type: 'POST',
+      responseText: {
+        items: items(10)
+      }
+    });
+
+    var qlm = new QLM({
+      serviceURL: serviceURL,
+      queryParameters: {
+        search: 'chess'
+      },
+      transport: QLM.transports.ajax({
+        method: 'POST',
+        headers: function(){
+          return {Authorization: 'Bearer token'};
+        },
+        serializeBody: function(request){
+          return JSON.stringify(request.parameters);
+        }
+      })
+    });
+
+    qlm.get(5).then(function(items){
+
+      var call = $.mockjax.mockedAjaxCalls()[0];
+
+      expect(items.length).toBe(5);
+      expect(call.type).toBe('POST');
+      expect(call.headers.Authorization).toBe('Bearer token');
+      expect(call.data).toBe('{"search":"chess"}');
+      expect(call.contentType).toBe('application/json');
+
+    }).always(done);
+
+  });
+
+  describe('fetch transport', function(){
+
+    var originalFetch, fetchCalls;
+
+    // stubs the Fetch API, responding with the given status and body
+    function stubFetch(status, body){
+      window.fetch = function(url, init){
+        fetchCalls.push({url: url, init: init});
+        return $.Deferred().resolve({
+          ok: status >= 200 && status < 300,
+          status: status,
+          json: function(){
+            return $.Deferred().resolve(body).promise();
+          }
+        }).promise();
+      };
+    }
+
+    beforeEach(function(){
+      originalFetch = window.fetch;
+      fetchCalls = [];
+    });
+
+    afterEach(function(){
+      window.fetch = originalFetch;
+    });
+
+    it('issues requests with fetch', function(done){
+
+      stubFetch(200, {items: items(10)});
+
+      var qlm = new QLM({
+        serviceURL: serviceURL,
+        transport: QLM.transports.fetch({
+          headers: {'X-Flag': 'b'},
+          withCredentials: true
+        })
+      });
+
+      qlm.get(5).then(function(items){
+
+        expect(items.length).toBe(5);
+        expect(fetchCalls[0].url).toBe(serviceURL + '?start=0&count=50');
+        expect(fetchCalls[0].init.method).toBe('GET');
+        expect(fetchCalls[0].init.headers['X-Flag']).toBe('b');
+        expect(fetchCalls[0].init.credentials).toBe('include');
+
+      }).always(done);
+
+    });
+
+    it('rejects with an http error on error statuses', function(done){
+
+      stubFetch(500, {});
+
+      var qlm = new QLM({
+        serviceURL: serviceURL,
+        transport: QLM.transports.fetch()
+      });
+
+      qlm.get(5).then(function(){
+
+        fail('get() should reject');
+
+      }, function(error){
+
+        expect(error.kind).toBe(QLM.Error.HTTP);
+        expect(error.status).toBe(500);
+
+      }).always(done);
+
+    });
+
+  });
+
+});
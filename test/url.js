@@ -0,0 +1,91 @@
+describe('QLM URL construction', function() {
+
+  var serviceURL = '/api/v1/products.json';
+
+  function createQLM(config){
+    return new QLM($.extend({
+      serviceURL: serviceURL
+    }, config));
+  }
+
+  it('encodes parameter names and values', function(){
+
+    var qlm = createQLM();
+
+    expect(qlm.__getURL({
+      search: 'rock & roll',
+      tag: '#1',
+      'sort by': 'price=asc'
+    })).toBe(serviceURL + '?search=rock%20%26%20roll&tag=%231&sort%20by=price%3Dasc');
+
+  });
+
+  it('omits null and undefined parameters', function(){
+
+    var qlm = createQLM();
+
+    expect(qlm.__getURL({
+      search: null,
+      category: undefined,
+      tags: ['cool', null, 'awesome'],
+      empty: [],
+      start: 0
+    })).toBe(serviceURL + '?tags=cool&tags=awesome&start=0');
+
+  });
+
+  it('merges with the query string of the service URL', function(){
+
+    expect(createQLM({serviceURL: serviceURL + '?key=abc'}).__getURL({
+      start: 0
+    })).toBe(serviceURL + '?key=abc&start=0');
+
+    expect(createQLM({serviceURL: serviceURL + '?key=abc'}).__getURL({})).toBe(serviceURL + '?key=abc');
+
+    expect(createQLM({serviceURL: serviceURL + '?key=abc#results'}).__getURL({
+      start: 0
+    })).toBe(serviceURL + '?key=abc&start=0#results');
+
+  });
+
+  it('serializes arrays in the configured style', function(){
+
+    var parameters = {
+      tags: ['cool', 'a,b']
+    };
+
+    expect(createQLM({serializeQuery: 'repeat'}).__getURL(parameters)).toBe(serviceURL + '?tags=cool&tags=a%2Cb');
+    expect(createQLM({serializeQuery: 'bracket'}).__getURL(parameters)).toBe(serviceURL + '?tags[]=cool&tags[]=a%2Cb');
+    expect(createQLM({serializeQuery: 'comma'}).__getURL(parameters)).toBe(serviceURL + '?tags=cool,a%2Cb');
+
+  });
+
+  it('serializes nested objects', function(){
+
+    var qlm = createQLM({serializeQuery: 'bracket'});
+
+    expect(qlm.__getURL({
+      filter: {
+        price: {
+          min: 10,
+          max: null
+        },
+        brands: ['a', 'b']
+      }
+    })).toBe(serviceURL + '?filter[price][min]=10&filter[brands][]=a&filter[brands][]=b');
+
+  });
+
+  it('uses a custom query serializer', function(){
+
+    var qlm = createQLM({
+      serializeQuery: function(parameters){
+        return 'q=' + encodeURIComponent(JSON.stringify(parameters));
+      }
+    });
+
+    expect(qlm.__getURL({a: 1}, {start: 0})).toBe(serviceURL + '?q=' + encodeURIComponent('{"a":1,"start":0}'));
+
+  });
+
+});
@@ -0,0 +1,238 @@
+describe('QLM response validation', function() {
+
+  var serviceURL = '/api/v1/products.json';
+
+  // serves the given responses in order, then valid pages, recording the offsets requested
+  function serve(requests, responses){
+    return createTransport({
+      responses: responses,
+      requests: requests,
+      record: function(request){
+        return request.paginatorState.start;
+      }
+    });
+  }
+
+  function createQLM(transport, config){
+    return new QLM($.extend(true, {
+      serviceURL: serviceURL,
+      lowItemThreshold: 0,
+      paginator: {
+        state: {
+          count: 10
+        }
+      },
+      retry: {
+        delay: 0,
+        jitter: 0
+      },
+      transport: transport
+    }, config));
+  }
+
+  it('rejects when items are not extracted as an array, and leaves the state untouched', function(done){
+
+    var requests = [],
+        qlm = createQLM(serve(requests, ['<html>Please log in</html>']));
+
+    qlm.get(5).then(function(){
+      fail('get() should reject');
+    }, function(error){
+
+      expect(error.kind).toBe(QLM.Error.INVALID);
+      expect(error.message).toContain('extractItems returned undefined instead of an array');
+      expect(error.url).toContain(serviceURL);
+      expect(qlm.size()).toBe(0);
+
+      return qlm.get(5);
+    }).then(function(items){
+
+      expect(items[0].id).toBe(0);
+      expect(requests).toEqual([0, 0]);
+
+    }).always(done);
+
+  });
+
+  it('rejects responses refused by validateResponse, with their message', function(done){
+
+    var requests = [],
+        qlm = createQLM(serve(requests, [{error: 'session expired'}]), {
+          validateResponse: function(response){
+            return response.error ? 'the server says ' + response.error : true;
+          }
+        });
+
+    qlm.get(5).then(function(){
+      fail('get() should reject');
+    }, function(error){
+      expect(error.kind).toBe(QLM.Error.INVALID);
+      expect(error.message).toContain('the server says session expired');
+      expect(error.attempts).toBe(1);
+    }).always(done);
+
+  });
+
+  it('treats validateResponse returning false or throwing as invalid', function(done){
+
+    var requests = [],
+        responses = [{items: items(0, 10), version: 1}, {items: items(0, 10), version: 3}],
+        qlm = createQLM(serve(requests, responses), {
+          validateResponse: function(response){
+            if(response.version === 3){
+              throw new Error('unsupported version');
+            }
+            return response.version !== 1;
+          }
+        });
+
+    qlm.get(5).then(function(){
+      fail('get() should reject');
+    }, function(error){
+      expect(error.kind).toBe(QLM.Error.INVALID);
+      return qlm.get(5);
+    }).then(function(){
+      fail('get() should reject');
+    }, function(error){
+      expect(error.kind).toBe(QLM.Error.INVALID);
+      expect(error.message).toContain('unsupported version');
+    }).always(done);
+
+  });
+
+  it('retries invalid responses if configured to', function(done){
+
+    var requests = [],
+        qlm = createQLM(serve(requests, [{}, 'truncated']), {
+          retry: {
+            attempts: 3,
+            invalidResponses: true
+          }
+        });
+
+    qlm.get(5).then(function(items){
+      expect(items.length).toBe(5);
+      expect(requests).toEqual([0, 0, 0]);
+      expect(qlm.isExhausted()).toBe(false);
+    }).then(null, fail).always(done);
+
+  });
+
+  it('does not retry invalid responses by default', function(done){
+
+    var requests = [],
+        qlm = createQLM(serve(requests, [{}]), {
+          retry: {
+            attempts: 3
+          }
+        });
+
+    qlm.get(5).then(function(){
+      fail('get() should reject');
+    }, function(error){
+      expect(error.kind).toBe(QLM.Error.INVALID);
+      expect(requests).toEqual([0]);
+    }).always(done);
+
+  });
+
+  it('extracts the items of each response once', function(done){
+
+    var requests = [],
+        extracted = [],
+        qlm = createQLM(serve(requests, []), {
+          extractItems: function(response){
+            extracted.push(response.items[0].id);
+            return response.items;
+          }
+        });
+
+    qlm.get(25).then(function(items){
+      expect(items.length).toBe(25);
+      expect(extracted).toEqual([0, 10, 20]);
+    }).then(null, fail).always(done);
+
+  });
+
+  describe('with a paginator that cannot handle the response', function(){
+
+    // pages with cursors, the second response lacking the cursor once
+    function createCursorQLM(){
+      var responses = [
+        {items: items(0, 2), meta: {next: 'b'}},
+        {items: items(2, 2)},
+        {items: items(2, 2), meta: {next: null}}
+      ];
+
+      return createQLM(function(){
+        return $.Deferred().resolve(responses.shift()).promise();
+      }, {
+        paginator: {
+          state: {cursor: 'a'},
+          next: function(state, response){
+            return response.meta.next ? {cursor: response.meta.next} : null;
+          }
+        }
+      });
+    }
+
+    it('rejects the response as invalid, without adding its items', function(done){
+
+      var qlm = createCursorQLM();
+
+      qlm.get(2).then(function(){
+        return qlm.get(2);
+      }).then(function(){
+        fail('get() should reject');
+      }, function(error){
+
+        expect(error.kind).toBe(QLM.Error.INVALID);
+        expect(error.message).toContain('could not paginate');
+        expect(qlm.size()).toBe(0);
+
+        return qlm.get(4);
+      }).then(function(items){
+
+        expect(items.map(function(item){ return item.id; })).toEqual([2, 3]);
+        expect(qlm.isExhausted()).toBe(true);
+
+      }).always(done);
+
+    });
+
+    describe('without jQuery', function(){
+
+      beforeEach(function(){
+        QLM.adapters.native();
+      });
+
+      afterEach(function(){
+        QLM.adapters.jquery($);
+      });
+
+      it('rejects the response as invalid', function(done){
+
+        var qlm = createCursorQLM();
+
+        qlm.get(2).then(function(){
+          return qlm.get(2);
+        }).then(function(){
+          fail('get() should reject');
+        }, function(error){
+
+          expect(error.kind).toBe(QLM.Error.INVALID);
+
+          return qlm.get(4);
+        }).then(function(items){
+
+          expect(items.map(function(item){ return item.id; })).toEqual([2, 3]);
+
+        }).then(done, done.fail);
+
+      });
+
+    });
+
+  });
+
+});